@@ -3,15 +3,50 @@ import Sidebar from './components/Sidebar';
 import TokenGraph from './components/TokenGraph';
 import Toolbar from './components/Toolbar';
 import Minimap from './components/Minimap';
-import { parseFile, parseTSXWithPrimitives, parseJSONFile } from './utils/fileParser';
-import tokensData from './lib/mana/tokens.json';
+import Toast from './components/Toast';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import ModeMatrixPanel from './components/ModeMatrixPanel';
+import ProblemsPanel from './components/ProblemsPanel';
+import LintPanel from './components/LintPanel';
+import ContrastPanel from './components/ContrastPanel';
+import UnusedTokensPanel from './components/UnusedTokensPanel';
+import DuplicatesPanel from './components/DuplicatesPanel';
+import ModeCoveragePanel from './components/ModeCoveragePanel';
+import ImpactPanel from './components/ImpactPanel';
+import { parseFile, parseFiles, parseText, parseTSXWithPrimitives, parseJSONFile } from './utils/fileParser';
+import { BUNDLED_DATASETS, DEFAULT_DATASET_ID, getDataset, loadDatasetGraph } from './utils/datasets';
+import { exportGraphToDTCG } from './utils/dtcgExporter';
+import { exportGraphToCSS } from './utils/cssExporter';
+import { exportGraphToSCSS, exportGraphToLess, exportGraphToTS } from './utils/codeExporters';
+import { exportSceneToSVG, rasterizeSVG } from './utils/imageExporter';
+import { exportGraphToMarkdown, exportGraphToHTML } from './utils/docsExporter';
+import { exportGraphToCSV, diffModeMatrix, applyModeMatrixChanges } from './utils/modeMatrix';
+import { exportGraphToDOT, exportGraphToMermaid, MERMAID_MAX_EDGES } from './utils/diagramExporter';
+import { findBrokenReferences } from './utils/brokenReferences';
+import { findReferenceCycles, getCycleEdgeKeys } from './utils/referenceCycles';
+import { lintGraph, DEFAULT_LINT_CONFIG } from './utils/lintRules';
+import { DIAGNOSTIC_SEVERITIES } from './utils/diagnostics';
+import { auditContrast, isContrastPass, DEFAULT_CONTRAST_CONFIG } from './utils/contrast';
+import { findUnusedTokens, getUnusedTokenIds } from './utils/unusedTokens';
+import { findDuplicateValues, DEFAULT_DUPLICATE_CONFIG } from './utils/duplicateValues';
+import { getModeCoverage } from './utils/modeCoverage';
+import { getImpact } from './utils/impactAnalysis';
+import { downloadFile, toFileStem } from './utils/download';
 import './App.css';
 
+// SCSS, Less and TypeScript exporters: file extension and MIME type
+const CODE_EXPORTERS = {
+  scss: { exportGraph: exportGraphToSCSS, extension: 'scss', mimeType: 'text/x-scss' },
+  less: { exportGraph: exportGraphToLess, extension: 'less', mimeType: 'text/x-less' },
+  ts: { exportGraph: exportGraphToTS, extension: 'ts', mimeType: 'text/typescript' }
+};
+
 function App() {
   const [selectedMode, setSelectedMode] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [tokenGraph, setTokenGraph] = useState({ nodes: [], links: [] });
-  const [originalTeardropGraph, setOriginalTeardropGraph] = useState(null);
+  const [datasetId, setDatasetId] = useState(DEFAULT_DATASET_ID);
+  const [datasetGraphs, setDatasetGraphs] = useState({}); // Parsed bundled datasets, by dataset id
   const [availableModes, setAvailableModes] = useState([]);
   const [version, setVersion] = useState(null);
   const [allVersions, setAllVersions] = useState([]);
@@ -27,54 +62,43 @@ function App() {
   const [interactiveHighlighting, setInteractiveHighlighting] = useState(true);
   const [minimapNodes, setMinimapNodes] = useState([]);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
+  const [toast, setToast] = useState(null); // { type: 'error' | 'warning' | 'info', message }
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [showProblems, setShowProblems] = useState(false);
+  const [showLint, setShowLint] = useState(false);
+  const [lintConfig, setLintConfig] = useState(DEFAULT_LINT_CONFIG);
+  const [showContrast, setShowContrast] = useState(false);
+  const [contrastConfig, setContrastConfig] = useState(DEFAULT_CONTRAST_CONFIG);
+  const [contrastStandard, setContrastStandard] = useState('wcag'); // 'wcag' | 'apca'
+  const [showUnused, setShowUnused] = useState(false);
+  const [unusedOnly, setUnusedOnly] = useState(false); // canvas shows only tokens nothing uses
+  const [showDuplicates, setShowDuplicates] = useState(false);
+  const [duplicateConfig, setDuplicateConfig] = useState(DEFAULT_DUPLICATE_CONFIG);
+  const [showModeCoverage, setShowModeCoverage] = useState(false);
+  const [impactTokenId, setImpactTokenId] = useState(null); // token whose dependents the Impact panel lists
+  const [modeMatrixReview, setModeMatrixReview] = useState(null); // { report, fileName } from a mode matrix CSV
   const tokenGraphRef = useRef(null);
 
-  // Load tokens from JSON file (only JSON, no environment switching)
+  // Show a bundled dataset's graph with a fresh view
+  const showDatasetGraph = useCallback((graphData) => {
+    setTokenGraph(graphData);
+    setVersion(graphData.version || null);
+    setAllVersions(graphData.allVersions || []);
+    setCurrentFileName(null);
+    const modes = graphData.availableModes || [];
+    setAvailableModes(modes);
+    setSelectedMode(modes.length > 0 ? modes[0] : null);
+    setPanX(380);
+    setPanY(130);
+    setZoom(0.7);
+    setSelectedTokens([]);
+  }, []);
+
+  // Load the default bundled dataset (tokens.json) on startup
   useEffect(() => {
     setLoading(true);
-    
-    // Check if we already have the graph cached
-    if (originalTeardropGraph) {
-      // Use cached version
-      setTokenGraph(originalTeardropGraph);
-      const modes = originalTeardropGraph.availableModes || [];
-      setAvailableModes(modes);
-      setSelectedMode(modes.length > 0 ? modes[0] : null);
-      setLoading(false);
-    } else {
-      try {
-        // Try to parse the imported tokens.json first
-        if (tokensData) {
-          try {
-            const parsed = parseJSONFile(tokensData);
-            if (parsed && parsed.nodes && parsed.nodes.length > 0) {
-              // Ensure parsed data has all required properties
-              const graphData = {
-                nodes: parsed.nodes || [],
-                links: parsed.links || [],
-                availableModes: parsed.availableModes || [],
-                version: parsed.version || null,
-                allVersions: parsed.allVersions || []
-              };
-              setTokenGraph(graphData);
-              setOriginalTeardropGraph(graphData);
-              setVersion(graphData.version);
-              setAllVersions(graphData.allVersions || []);
-              // Use modes from parsed data only
-              const modes = graphData.availableModes || [];
-              setAvailableModes(modes);
-              setSelectedMode(modes.length > 0 ? modes[0] : null);
-              setLoading(false);
-              return;
-            }
-          } catch (parseError) {
-            console.warn('Failed to parse tokens.json:', parseError);
-          }
-        }
-      } catch (err) {
-        console.warn('Failed to parse tokens.json:', err);
-      }
 
+    const loadFallbackGraph = () => {
       // Fallback: Try to fetch from public directory, but don't fail if it doesn't exist
       // Users can upload their own JSON file
       const baseUrl = import.meta.env.BASE_URL;
@@ -99,7 +123,7 @@ function App() {
                 allVersions: parsed.allVersions || data.allVersions || []
               };
               setTokenGraph(graphData);
-              setOriginalTeardropGraph(graphData);
+              setDatasetGraphs(prev => ({ ...prev, [DEFAULT_DATASET_ID]: graphData }));
               setVersion(graphData.version);
               setAllVersions(graphData.allVersions || []);
               const modes = graphData.availableModes || [];
@@ -137,7 +161,21 @@ function App() {
           setSelectedMode(null);
           setLoading(false);
         });
-    }
+    };
+
+    loadDatasetGraph(DEFAULT_DATASET_ID)
+      .then(graphData => {
+        if (graphData.nodes.length === 0) {
+          throw new Error('tokens.json has no tokens');
+        }
+        setDatasetGraphs(prev => ({ ...prev, [DEFAULT_DATASET_ID]: graphData }));
+        showDatasetGraph(graphData);
+        setLoading(false);
+      })
+      .catch(err => {
+        console.warn('Failed to parse tokens.json:', err);
+        loadFallbackGraph();
+      });
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
@@ -1054,6 +1092,7 @@ function App() {
       columns: columns,
       links: [...tokenGraph.links, ...layerLinks, ...categoryLinks, ...paletteLinks, ...versionLinks],
       allNodes: allNodes,
+      getLayerGroupId,
           primitiveGroups: Object.fromEntries(primitiveGroups),
           opacityPaletteGroups: Object.fromEntries(opacityPaletteGroups),
           componentCategoryGroups: Object.fromEntries(componentCategoryGroups),
@@ -1068,16 +1107,28 @@ function App() {
     };
   }, [tokenGraph, version, allVersions]);
 
-  // Filter graph based on search and mode
+  // Unused tokens, found while the Unused tokens panel is open; the "show only unused"
+  // filter narrows the canvas to the tokens nothing uses
+  const unusedTokens = useMemo(() => (showUnused ? findUnusedTokens(tokenGraph) : null), [showUnused, tokenGraph]);
+  const unusedTokenIds = useMemo(
+    () => (unusedTokens && unusedOnly ? getUnusedTokenIds(unusedTokens) : null),
+    [unusedTokens, unusedOnly]
+  );
+
+  // Filter graph based on search, the unused filter and mode
   const filteredGraph = useMemo(() => {
     let filtered = { ...organizedGraph };
 
-    if (searchQuery) {
+    if (searchQuery || unusedTokenIds) {
+      const { getLayerGroupId } = organizedGraph;
       const query = searchQuery.toLowerCase();
       const filteredNodes = organizedGraph.allNodes.filter(node =>
-        node.name.toLowerCase().includes(query) ||
-        (node.color && node.color.toLowerCase().includes(query)) ||
-        (node.description && node.description.toLowerCase().includes(query))
+        (!unusedTokenIds || unusedTokenIds.has(node.id)) && (
+          !query ||
+          node.name.toLowerCase().includes(query) ||
+          (node.color && node.color.toLowerCase().includes(query)) ||
+          (node.description && node.description.toLowerCase().includes(query))
+        )
       );
       const nodeIds = new Set(filteredNodes.map(n => n.id));
       
@@ -1106,8 +1157,10 @@ function App() {
           
           if (hasMatchingChild) {
             nodeIds.add(group.id);
-            // Also include all children of matching groups
-            children.forEach(child => nodeIds.add(child.id));
+            // Also include all children of matching groups, unless only unused tokens are shown
+            if (!unusedTokenIds) {
+              children.forEach(child => nodeIds.add(child.id));
+            }
           }
         });
       }
@@ -1182,7 +1235,85 @@ function App() {
     }
 
     return filtered;
-  }, [organizedGraph, searchQuery, selectedMode]);
+  }, [organizedGraph, searchQuery, unusedTokenIds, selectedMode]);
+
+  // References to tokens that don't exist and reference cycles, for the Problems panel
+  // and the badges on affected nodes
+  const brokenReferences = useMemo(() => findBrokenReferences(tokenGraph), [tokenGraph]);
+  const referenceCycles = useMemo(() => findReferenceCycles(tokenGraph), [tokenGraph]);
+  const problemCounts = useMemo(() => {
+    const counts = new Map(brokenReferences.map(entry => [entry.tokenId, entry.problems.length]));
+    referenceCycles.forEach(({ members }) => {
+      members.forEach(tokenId => counts.set(tokenId, (counts.get(tokenId) || 0) + 1));
+    });
+    return counts;
+  }, [brokenReferences, referenceCycles]);
+  // Reference links drawn in red because they're part of a cycle in the selected mode
+  const cycleEdgeKeys = useMemo(() => getCycleEdgeKeys(referenceCycles, selectedMode), [referenceCycles, selectedMode]);
+
+  // Layers in canvas order, for the Lint and Impact panels
+  const canvasLayers = useMemo(
+    () => (organizedGraph.columns.layerGroups || []).map(layerGroup => ({ layer: layerGroup.layer, name: layerGroup.name })),
+    [organizedGraph]
+  );
+  // Lint rules run while the Lint panel is open
+  const lintResult = useMemo(
+    () => (showLint ? lintGraph(tokenGraph, lintConfig, { layers: canvasLayers.map(entry => entry.layer) }) : null),
+    [showLint, tokenGraph, lintConfig, canvasLayers]
+  );
+  // Badge per token with violations: the count and the most severe severity
+  const lintBadges = useMemo(() => {
+    if (!lintResult) return null;
+    const badges = new Map();
+    lintResult.violations.forEach(({ tokenId, severity }) => {
+      const badge = badges.get(tokenId) || { count: 0, severity };
+      badge.count++;
+      if (DIAGNOSTIC_SEVERITIES.indexOf(severity) < DIAGNOSTIC_SEVERITIES.indexOf(badge.severity)) {
+        badge.severity = severity;
+      }
+      badges.set(tokenId, badge);
+    });
+    return badges;
+  }, [lintResult]);
+
+  // Contrast audit of foreground/background pairs, run while the Contrast panel is open
+  const contrastAudit = useMemo(
+    () => (showContrast ? auditContrast(tokenGraph, contrastConfig) : null),
+    [showContrast, tokenGraph, contrastConfig]
+  );
+  // Failing pairs per token (as foreground or background) under the chosen standard, for the badges
+  const contrastFailures = useMemo(() => {
+    if (!contrastAudit) return null;
+    const failures = new Map();
+    contrastAudit.pairs.forEach(pair => {
+      if (!pair.results.some(result => isContrastPass(result, contrastStandard) === false)) return;
+      [pair.foreground, pair.background].forEach(tokenId => failures.set(tokenId, (failures.get(tokenId) || 0) + 1));
+    });
+    return failures;
+  }, [contrastAudit, contrastStandard]);
+
+  // Duplicate and near-duplicate primitives, found while the Duplicates panel is open
+  const duplicateClusters = useMemo(
+    () => (showDuplicates ? findDuplicateValues(tokenGraph, duplicateConfig) : null),
+    [showDuplicates, tokenGraph, duplicateConfig]
+  );
+
+  // Per-mode values of every token with modes, built while the Mode coverage panel is open
+  const modeCoverage = useMemo(
+    () => (showModeCoverage ? getModeCoverage(tokenGraph) : null),
+    [showModeCoverage, tokenGraph]
+  );
+
+  // Everything downstream of the token the Impact panel analyses, and the tree the canvas highlights
+  const impact = useMemo(
+    () => (impactTokenId ? getImpact(tokenGraph, impactTokenId) : null),
+    [impactTokenId, tokenGraph]
+  );
+  const impactTree = useMemo(() => (impact ? {
+    tokenId: impact.tokenId,
+    dependentIds: new Set(impact.dependents.map(dependent => dependent.tokenId)),
+    edgeKeys: impact.edgeKeys
+  } : null), [impact]);
 
   // Update minimap nodes periodically when minimap is visible
   useEffect(() => {
@@ -1270,6 +1401,28 @@ function App() {
     return () => clearTimeout(timeoutId);
   }, [loading, organizedGraph, sidebarCollapsed]);
 
+  // The most recently selected token is shown in the sidebar inspector
+  const inspectedToken = useMemo(() => {
+    if (selectedTokens.length === 0) return null;
+    const tokenId = selectedTokens[selectedTokens.length - 1];
+    return tokenGraph.nodes.find(node => node.id === tokenId) || null;
+  }, [selectedTokens, tokenGraph]);
+
+  // Select a token and center the canvas on it (used by report panels)
+  const handleRevealToken = useCallback((tokenId) => {
+    setSelectedTokens([tokenId]);
+    const positionedNodes = tokenGraphRef.current?.getPositionedNodes() || [];
+    const node = positionedNodes.find(n => n.id === tokenId);
+    if (!node) return;
+
+    const SIDEBAR_WIDTH = sidebarCollapsed ? 0 : 280;
+    const NODE_WIDTH = 450;
+    const NODE_HEIGHT = 36;
+    const availableWidth = window.innerWidth - SIDEBAR_WIDTH;
+    setPanX(SIDEBAR_WIDTH + availableWidth / 2 - (node.x + NODE_WIDTH / 2) * zoom);
+    setPanY(window.innerHeight / 2 - (node.y + NODE_HEIGHT / 2) * zoom);
+  }, [sidebarCollapsed, zoom]);
+
   const handleTokenSelect = (tokenId) => {
     setSelectedTokens(prev => {
       if (prev.includes(tokenId)) {
@@ -1384,89 +1537,300 @@ function App() {
     }
   }, [zoom, handleZoom]);
 
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  // Show an imported graph: replaces the current graph, modes and view
+  const applyImportedGraph = useCallback((graph, fileName) => {
+    // Ensure graph has the required structure
+    const graphData = {
+      nodes: graph.nodes || [],
+      links: graph.links || [],
+      availableModes: graph.availableModes || [],
+      version: graph.version || null,
+      allVersions: graph.allVersions || [],
+      diagnostics: graph.diagnostics || []
+    };
+
+    setTokenGraph(graphData);
+    setVersion(graphData.version);
+    setAllVersions(graphData.allVersions);
+    setCurrentFileName(fileName);
+
+    // Update available modes from imported data (themes = modes)
+    const modes = graphData.availableModes;
+    setAvailableModes(modes);
+    setSelectedMode(modes.length > 0 ? modes[0] : null);
+
+    // Reset view when importing new file
+    setPanX(380);
+    setPanY(130);
+    setZoom(0.7);
+    setSelectedTokens([]);
+
+    const problemCount = graphData.diagnostics.filter(d => d.severity !== 'info').length;
+    if (problemCount > 0) {
+      setToast({
+        type: 'warning',
+        message: `Imported with ${problemCount} problem(s). Open "Import diagnostics" from the menu to review them.`
+      });
+    }
+  }, []);
+
   // Handle JSON file import
   const handleImportJSON = useCallback(async (file) => {
     try {
       setLoading(true);
-      const result = await parseFile(file);
-      const { graph, fileName, availableModes: importedModes, version: importedVersion, allVersions: importedAllVersions } = result;
-      
-      // Ensure graph has the required structure
-      const graphData = {
-        nodes: graph.nodes || [],
-        links: graph.links || [],
-        availableModes: graph.availableModes || importedModes || [],
-        version: graph.version || importedVersion || null,
-        allVersions: graph.allVersions || importedAllVersions || []
-      };
-      
-      setTokenGraph(graphData);
-      setVersion(graphData.version);
-      setAllVersions(graphData.allVersions || []);
-      setCurrentFileName(fileName);
-      
-      // Update available modes from imported data (themes = modes)
-      const modes = graphData.availableModes || [];
-      setAvailableModes(modes);
-      setSelectedMode(modes.length > 0 ? modes[0] : null);
-      
-      // Reset view when importing new file
-      setPanX(380);
-      setPanY(130);
-      setZoom(0.7);
-      setSelectedTokens([]);
+      const { graph, fileName } = await parseFile(file);
+      applyImportedGraph(graph, fileName);
       setLoading(false);
     } catch (error) {
       console.error('Failed to import file:', error);
-      alert(`Failed to import file: ${error.message}`);
+      setToast({ type: 'error', message: `Failed to import file: ${error.message}` });
       setLoading(false);
     }
-  }, []);
+  }, [applyImportedGraph]);
+
+  // Handle multi-file / folder import: every file is merged into one graph
+  const handleImportFiles = useCallback(async (files) => {
+    try {
+      setLoading(true);
+      // Duplicate token ids are reported as diagnostics
+      const { graph, fileName } = await parseFiles(files);
+      applyImportedGraph(graph, fileName);
+      setLoading(false);
+    } catch (error) {
+      console.error('Failed to import files:', error);
+      setToast({ type: 'error', message: `Failed to import files: ${error.message}` });
+      setLoading(false);
+    }
+  }, [applyImportedGraph]);
+
+  // Files dropped on the canvas: one file imports as-is, several are merged
+  const handleDropFiles = useCallback((files) => {
+    if (files.length === 1) {
+      handleImportJSON(files[0]);
+    } else if (files.length > 1) {
+      handleImportFiles(files);
+    }
+  }, [handleImportJSON, handleImportFiles]);
+
+  // Handle JSON/CSS text pasted onto the canvas
+  const handleImportText = useCallback((text) => {
+    try {
+      const { graph, fileName } = parseText(text);
+      applyImportedGraph(graph, fileName);
+    } catch (error) {
+      console.error('Failed to import pasted text:', error);
+      setToast({ type: 'error', message: error.message });
+    }
+  }, [applyImportedGraph]);
+
+  // Compare a mode matrix CSV with the loaded tokens; the changes are applied after review
+  const handleImportModeMatrix = useCallback(async (file) => {
+    try {
+      const report = diffModeMatrix(tokenGraph, await file.text());
+      setModeMatrixReview({ report, fileName: file.name });
+    } catch (error) {
+      console.error('Failed to read mode matrix:', error);
+      setToast({ type: 'error', message: `Failed to read mode matrix: ${error.message}` });
+    }
+  }, [tokenGraph]);
+
+  const handleApplyModeMatrix = useCallback(() => {
+    if (!modeMatrixReview) return;
+    const { changes } = modeMatrixReview.report;
+    setTokenGraph(prev => applyModeMatrixChanges(prev, changes));
+    setModeMatrixReview(null);
+    setToast({ type: 'info', message: `Applied ${changes.length} change(s) from ${modeMatrixReview.fileName}` });
+  }, [modeMatrixReview]);
 
   // Handle TSX files import (primitives + semantic)
   const handleImportTSX = useCallback(async (primitivesFile, semanticFile) => {
     try {
       setLoading(true);
-      const { graph, fileName, availableModes: importedModes } = await parseTSXWithPrimitives(primitivesFile, semanticFile);
-      setTokenGraph(graph);
-      setCurrentFileName(fileName);
-      
-      // Update available modes from imported data (themes = modes)
-      const modes = importedModes || [];
-      setAvailableModes(modes);
-      setSelectedMode(modes.length > 0 ? modes[0] : null);
-      
-      // Reset view when importing new file
-      setPanX(380);
-      setPanY(130);
-      setZoom(0.7);
-      setSelectedTokens([]);
+      const { graph, fileName } = await parseTSXWithPrimitives(primitivesFile, semanticFile);
+      applyImportedGraph(graph, fileName);
       setLoading(false);
     } catch (error) {
       console.error('Failed to import TSX files:', error);
-      alert(`Failed to import TSX files: ${error.message}`);
+      setToast({ type: 'error', message: `Failed to import TSX files: ${error.message}` });
       setLoading(false);
     }
-  }, []);
+  }, [applyImportedGraph]);
+
+  // Switch to a bundled dataset, loading and parsing it the first time it's picked
+  const datasetRequestRef = useRef(null);
+  const handleSelectDataset = useCallback(async (nextDatasetId) => {
+    setDatasetId(nextDatasetId);
+    datasetRequestRef.current = nextDatasetId;
+
+    if (datasetGraphs[nextDatasetId]) {
+      showDatasetGraph(datasetGraphs[nextDatasetId]);
+      return;
+    }
 
-  // Return to Teardrop tokens
-  const handleReturnToTeardrop = useCallback(() => {
-    if (originalTeardropGraph) {
-      setTokenGraph(originalTeardropGraph);
-      setVersion(originalTeardropGraph.version || null);
-      setAllVersions(originalTeardropGraph.allVersions || []);
-      setCurrentFileName(null);
-      // Reset to original graph modes
-      const modes = originalTeardropGraph.availableModes || [];
-      setAvailableModes(modes);
-      setSelectedMode(modes.length > 0 ? modes[0] : null);
-      // Reset view
-      setPanX(380);
-      setPanY(130);
-      setZoom(0.7);
-      setSelectedTokens([]);
+    setLoading(true);
+    try {
+      const graphData = await loadDatasetGraph(nextDatasetId);
+      setDatasetGraphs(prev => ({ ...prev, [nextDatasetId]: graphData }));
+      // Ignore a slow load if another dataset was picked in the meantime
+      if (datasetRequestRef.current === nextDatasetId) {
+        showDatasetGraph(graphData);
+      }
+    } catch (error) {
+      const dataset = getDataset(nextDatasetId);
+      setToast({ type: 'error', message: `Failed to load ${dataset ? dataset.fileName : nextDatasetId}: ${error.message}` });
+    } finally {
+      setLoading(false);
     }
-  }, [originalTeardropGraph]);
+  }, [datasetGraphs, showDatasetGraph]);
+
+  // Return from an imported file to the selected bundled dataset
+  const handleReturnToDataset = useCallback(() => {
+    handleSelectDataset(datasetId);
+  }, [datasetId, handleSelectDataset]);
+
+  // Name of what's on the canvas: the imported file(s) or the bundled dataset's file
+  const sourceName = currentFileName || (getDataset(datasetId) || {}).fileName;
+
+  // Export what the canvas shows as an SVG, or a PNG rasterized from it
+  const handleExportImage = useCallback(async ({ area, format, scale }) => {
+    const scene = tokenGraphRef.current?.getExportScene();
+    if (!scene) return;
+    try {
+      const { svg, width, height } = exportSceneToSVG(scene, { area, allNodes: tokenGraph.nodes, selectedMode });
+      const stem = `${toFileStem(sourceName)}${scene.focusTokenId ? `.${toFileStem(scene.focusTokenId)}` : ''}`;
+      if (format === 'svg') {
+        downloadFile(svg, `${stem}.svg`, 'image/svg+xml');
+        return;
+      }
+      const { blob, scale: appliedScale } = await rasterizeSVG(svg, width, height, scale);
+      downloadFile(blob, `${stem}${appliedScale === 1 ? '' : `@${Math.round(appliedScale * 100) / 100}x`}.png`);
+      if (appliedScale < scale) {
+        setToast({
+          type: 'warning',
+          message: `The image was too large for ${scale}x, so it was exported at ${Math.round(appliedScale * 100) / 100}x`
+        });
+      }
+    } catch (error) {
+      console.error('Failed to export image:', error);
+      setToast({ type: 'error', message: `Failed to export image: ${error.message}` });
+    }
+  }, [tokenGraph, selectedMode, sourceName]);
+
+  // Export reference chains as a Graphviz DOT or Mermaid diagram
+  // Scopes: the full graph, the search results, or the chain focus mode shows
+  const handleExportDiagram = useCallback(({ scope, format }) => {
+    let graph = filteredGraph;
+    let tokenIds;
+    let scopeLabel = null;
+    let suffix = '';
+    if (scope === 'full') {
+      graph = organizedGraph;
+    } else if (scope === 'search') {
+      scopeLabel = `search "${searchQuery}"`;
+      suffix = '.search';
+    } else if (scope === 'focus') {
+      const focusChain = tokenGraphRef.current?.getFocusChain();
+      if (!focusChain) {
+        setToast({ type: 'error', message: 'Select a token in focus mode to export its chain' });
+        return;
+      }
+      tokenIds = new Set([...focusChain.chain, ...focusChain.consumingTokens]);
+      scopeLabel = `focus on ${focusChain.selectedTokenId}`;
+      suffix = `.${toFileStem(focusChain.selectedTokenId)}`;
+    }
+
+    const options = { tokenIds, modes: availableModes, sourceName, scopeLabel };
+    const stem = `${toFileStem(sourceName)}${suffix}`;
+    if (format === 'dot') {
+      const { dot } = exportGraphToDOT(graph, options);
+      downloadFile(dot, `${stem}.dot`, 'text/vnd.graphviz');
+      return;
+    }
+    const { mermaid, edgeCount } = exportGraphToMermaid(graph, options);
+    downloadFile(mermaid, `${stem}.mmd`, 'text/plain');
+    if (edgeCount > MERMAID_MAX_EDGES) {
+      setToast({
+        type: 'warning',
+        message: `The diagram has ${edgeCount} edges; Mermaid renders ${MERMAID_MAX_EDGES} unless maxEdges is raised, so narrow it with search or focus mode`
+      });
+    }
+  }, [organizedGraph, filteredGraph, searchQuery, availableModes, sourceName]);
+
+  // Export the loaded graph in the chosen format
+  // Options (SCSS, Less, TypeScript): { modeScope: 'selected' | 'all', resolve }
+  const handleExport = useCallback((format, options = {}) => {
+    const stem = toFileStem(sourceName);
+    switch (format) {
+      case 'dtcg': {
+        const { document, skipped } = exportGraphToDTCG(tokenGraph);
+        downloadFile(JSON.stringify(document, null, 2), `${stem}.tokens.json`);
+        if (skipped.length > 0) {
+          setToast({
+            type: 'warning',
+            message: `${skipped.length} token(s) left out of the DTCG export because their id is also a group: ${skipped.slice(0, 3).join(', ')}${skipped.length > 3 ? ', …' : ''}`
+          });
+        }
+        break;
+      }
+      case 'css':
+      case 'css-resolved': {
+        const resolve = format === 'css-resolved';
+        const { css, skipped } = exportGraphToCSS(tokenGraph, { resolve, sourceName });
+        downloadFile(css, `${stem}${resolve ? '.resolved' : ''}.css`, 'text/css');
+        const skippedTokens = new Set(skipped.map(entry => entry.tokenId));
+        if (skippedTokens.size > 0) {
+          setToast({
+            type: 'warning',
+            message: `${skippedTokens.size} token(s) have values CSS can't use (unresolved or circular references, composite values) and were left out`
+          });
+        }
+        break;
+      }
+      case 'scss':
+      case 'less':
+      case 'ts': {
+        const { exportGraph, extension, mimeType } = CODE_EXPORTERS[format];
+        const exportSelectedMode = options.modeScope === 'selected' && selectedMode;
+        const modes = exportSelectedMode ? [selectedMode] : availableModes;
+        const { code, skipped } = exportGraph(tokenGraph, { modes, resolve: options.resolve, sourceName });
+        const suffix = `${exportSelectedMode ? `.${toFileStem(selectedMode)}` : ''}${options.resolve ? '.resolved' : ''}`;
+        downloadFile(code, `${stem}${suffix}.${extension}`, mimeType);
+        const skippedTokens = new Set(skipped.map(entry => entry.tokenId));
+        if (skippedTokens.size > 0) {
+          setToast({
+            type: 'warning',
+            message: `${skippedTokens.size} token(s) have no usable value (unresolved or circular references, composite values) and were left out`
+          });
+        }
+        break;
+      }
+      case 'csv': {
+        const { csv } = exportGraphToCSV(tokenGraph);
+        downloadFile(csv, `${stem}.modes.csv`, 'text/csv');
+        break;
+      }
+      case 'docs-markdown': {
+        const { markdown } = exportGraphToMarkdown(organizedGraph, { modes: availableModes, sourceName });
+        downloadFile(markdown, `${stem}.docs.md`, 'text/markdown');
+        break;
+      }
+      case 'docs-html': {
+        const { html } = exportGraphToHTML(organizedGraph, { modes: availableModes, sourceName });
+        downloadFile(html, `${stem}.docs.html`, 'text/html');
+        break;
+      }
+      case 'image':
+        handleExportImage(options);
+        break;
+      case 'diagram':
+        handleExportDiagram(options);
+        break;
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }, [tokenGraph, organizedGraph, sourceName, selectedMode, availableModes, handleExportImage, handleExportDiagram]);
 
 
   if (loading) {
@@ -1490,8 +1854,13 @@ function App() {
         modes={availableModes}
         selectedTokens={selectedTokens}
         onTokenRemove={(tokenId) => setSelectedTokens(prev => prev.filter(id => id !== tokenId))}
+        inspectedToken={inspectedToken}
+        onShowImpact={setImpactTokenId}
         collapsed={sidebarCollapsed}
-        isTeardropOnly={!currentFileName}
+        isTeardropOnly={!currentFileName && datasetId === DEFAULT_DATASET_ID}
+        datasets={BUNDLED_DATASETS}
+        activeDatasetId={currentFileName ? null : datasetId}
+        onDatasetChange={handleSelectDataset}
       />
       
       <TokenGraph
@@ -1513,6 +1882,13 @@ function App() {
         selectedMode={selectedMode}
         sidebarCollapsed={sidebarCollapsed}
         interactiveHighlighting={interactiveHighlighting}
+        onDropFiles={handleDropFiles}
+        onPasteText={handleImportText}
+        problemCounts={problemCounts}
+        cycleEdgeKeys={cycleEdgeKeys}
+        lintBadges={lintBadges}
+        contrastFailures={contrastFailures}
+        impactTree={impactTree}
       />
 
       <Toolbar
@@ -1527,8 +1903,24 @@ function App() {
         onImportJSON={handleImportJSON}
         onImportCSS={handleImportJSON}
         onImportTSX={handleImportTSX}
+        onImportFiles={handleImportFiles}
+        onImportModeMatrix={handleImportModeMatrix}
+        diagnosticsCount={(tokenGraph.diagnostics || []).length}
+        onShowDiagnostics={() => setShowDiagnostics(true)}
+        problemsCount={brokenReferences.reduce((count, entry) => count + entry.problems.length, referenceCycles.length)}
+        onShowProblems={() => setShowProblems(true)}
+        onShowLint={() => setShowLint(true)}
+        onShowContrast={() => setShowContrast(true)}
+        onShowUnused={() => setShowUnused(true)}
+        onShowDuplicates={() => setShowDuplicates(true)}
+        onShowModeCoverage={() => setShowModeCoverage(true)}
+        onExport={handleExport}
+        hasSearch={Boolean(searchQuery)}
+        modes={availableModes}
+        selectedMode={selectedMode}
         currentFileName={currentFileName}
-        onReturnToTeardrop={handleReturnToTeardrop}
+        onReturnToDataset={handleReturnToDataset}
+        datasetName={(getDataset(datasetId) || {}).name}
         showMinimap={showMinimap}
         onMinimapChange={setShowMinimap}
         interactiveHighlighting={interactiveHighlighting}
@@ -1551,6 +1943,101 @@ function App() {
         />
       )}
 
+      {showDiagnostics && (
+        <DiagnosticsPanel
+          diagnostics={tokenGraph.diagnostics || []}
+          sourceName={sourceName}
+          onSelectToken={handleRevealToken}
+          onClose={() => setShowDiagnostics(false)}
+        />
+      )}
+
+      {showProblems && (
+        <ProblemsPanel
+          brokenReferences={brokenReferences}
+          referenceCycles={referenceCycles}
+          modes={availableModes}
+          onSelectToken={handleRevealToken}
+          onClose={() => setShowProblems(false)}
+        />
+      )}
+
+      {lintResult && (
+        <LintPanel
+          result={lintResult}
+          config={lintConfig}
+          layers={canvasLayers}
+          onConfigChange={setLintConfig}
+          onSelectToken={handleRevealToken}
+          onClose={() => setShowLint(false)}
+        />
+      )}
+
+      {contrastAudit && (
+        <ContrastPanel
+          audit={contrastAudit}
+          config={contrastConfig}
+          standard={contrastStandard}
+          onConfigChange={setContrastConfig}
+          onStandardChange={setContrastStandard}
+          onSelectToken={handleRevealToken}
+          onClose={() => setShowContrast(false)}
+        />
+      )}
+
+      {unusedTokens && (
+        <UnusedTokensPanel
+          findings={unusedTokens}
+          unusedOnly={unusedOnly}
+          onUnusedOnlyChange={setUnusedOnly}
+          onSelectToken={handleRevealToken}
+          onClose={() => {
+            setShowUnused(false);
+            setUnusedOnly(false);
+          }}
+        />
+      )}
+
+      {duplicateClusters && (
+        <DuplicatesPanel
+          clusters={duplicateClusters}
+          config={duplicateConfig}
+          onConfigChange={setDuplicateConfig}
+          onSelectCluster={setSelectedTokens}
+          onSelectToken={handleRevealToken}
+          onClose={() => setShowDuplicates(false)}
+        />
+      )}
+
+      {modeCoverage && (
+        <ModeCoveragePanel
+          coverage={modeCoverage}
+          selectedMode={selectedMode}
+          onSelectToken={handleRevealToken}
+          onClose={() => setShowModeCoverage(false)}
+        />
+      )}
+
+      {impact && (
+        <ImpactPanel
+          impact={impact}
+          layers={canvasLayers}
+          onSelectToken={handleRevealToken}
+          onClose={() => setImpactTokenId(null)}
+        />
+      )}
+
+      {modeMatrixReview && (
+        <ModeMatrixPanel
+          report={modeMatrixReview.report}
+          fileName={modeMatrixReview.fileName}
+          onApply={handleApplyModeMatrix}
+          onSelectToken={handleRevealToken}
+          onClose={() => setModeMatrixReview(null)}
+        />
+      )}
+
+      <Toast toast={toast} onDismiss={dismissToast} />
     </div>
   );
 }
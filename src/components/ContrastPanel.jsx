@@ -0,0 +1,209 @@
+import React, { useMemo, useState } from 'react';
+import ReportPanel from './ReportPanel';
+import './ContrastPanel.css';
+import { DEFAULT_CONTRAST_CONFIG, CONTRAST_STANDARDS, isContrastPass } from '../utils/contrast';
+
+// Pair rules: foreground and background globs with the thresholds to pass
+function ContrastRulesEditor({ config, onConfigChange }) {
+  const rules = config.rules || [];
+
+  const updateRule = (index, changes) => {
+    onConfigChange({ ...config, rules: rules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)) });
+  };
+
+  return (
+    <div className="contrast-rules">
+      <p className="contrast-rules-hint">
+        Token id globs (<code>*</code> one segment, <code>**</code> any number); two plain ids make an explicit pair.
+        Later rows override the thresholds of earlier ones.
+      </p>
+      <table className="contrast-rules-table">
+        <thead>
+          <tr>
+            <th>Foreground</th>
+            <th>Background</th>
+            <th>Min ratio</th>
+            <th>Min Lc</th>
+            <th aria-label="Remove" />
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map((rule, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  type="text"
+                  value={rule.foreground}
+                  onChange={(e) => updateRule(index, { foreground: e.target.value })}
+                  aria-label="Foreground tokens"
+                />
+              </td>
+              <td>
+                <input
+                  type="text"
+                  value={rule.background}
+                  onChange={(e) => updateRule(index, { background: e.target.value })}
+                  aria-label="Background tokens"
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="1"
+                  max="21"
+                  step="0.5"
+                  value={rule.minRatio}
+                  onChange={(e) => updateRule(index, { minRatio: parseFloat(e.target.value) || 0 })}
+                  aria-label="Minimum WCAG contrast ratio"
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="0"
+                  max="108"
+                  step="5"
+                  value={rule.minLc}
+                  onChange={(e) => updateRule(index, { minLc: parseFloat(e.target.value) || 0 })}
+                  aria-label="Minimum APCA Lc"
+                />
+              </td>
+              <td>
+                <button
+                  className="report-panel-action"
+                  onClick={() => onConfigChange({ ...config, rules: rules.filter((_, i) => i !== index) })}
+                  aria-label="Remove rule"
+                >
+                  ×
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="contrast-rules-actions">
+        <button
+          className="report-panel-action"
+          onClick={() => onConfigChange({ ...config, rules: [...rules, { foreground: '', background: '', minRatio: 4.5, minLc: 60 }] })}
+        >
+          Add rule
+        </button>
+        <button className="report-panel-action" onClick={() => onConfigChange(DEFAULT_CONTRAST_CONFIG)}>
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Pass/fail table of foreground/background pairs, one column per mode
+function ContrastPanel({ audit, config, standard, onConfigChange, onStandardChange, onSelectToken, onClose }) {
+  const { modes, pairs } = audit;
+  const [showRules, setShowRules] = useState(false);
+  const [showAll, setShowAll] = useState(false);
+
+  const failingPairs = useMemo(
+    () => pairs.filter(pair => pair.results.some(result => isContrastPass(result, standard) === false)),
+    [pairs, standard]
+  );
+  const visiblePairs = showAll ? pairs : failingPairs;
+
+  const formatResult = (result) => {
+    if (result.skipped) return '–';
+    return standard === 'apca' ? `Lc ${Math.round(result.lc)}` : `${result.ratio.toFixed(2)}:1`;
+  };
+
+  const describeResult = (pair, result) => {
+    const colors = `${result.foregroundColor} on ${result.backgroundColor}`;
+    if (result.skipped) return `${result.skipped} (${colors})`;
+    return `${colors}: ${result.ratio.toFixed(2)}:1 (needs ${pair.minRatio}), APCA Lc ${Math.round(result.lc)} (needs ${pair.minLc})`;
+  };
+
+  return (
+    <ReportPanel
+      title="Contrast"
+      count={failingPairs.length}
+      className="contrast-panel"
+      onClose={onClose}
+      actions={
+        <button className="report-panel-action" onClick={() => setShowRules(prev => !prev)}>
+          {showRules ? 'Hide pairs' : 'Pairs'}
+        </button>
+      }
+    >
+      {showRules && <ContrastRulesEditor config={config} onConfigChange={onConfigChange} />}
+
+      <div className="report-panel-filters">
+        {CONTRAST_STANDARDS.map(({ id, name }) => (
+          <button
+            key={id}
+            className={`report-panel-filter ${standard === id ? 'active' : ''}`}
+            onClick={() => onStandardChange(id)}
+          >
+            {name}
+          </button>
+        ))}
+        <button
+          className={`report-panel-filter ${!showAll ? 'active' : ''}`}
+          onClick={() => setShowAll(false)}
+        >
+          Failing ({failingPairs.length})
+        </button>
+        <button
+          className={`report-panel-filter ${showAll ? 'active' : ''}`}
+          onClick={() => setShowAll(true)}
+        >
+          All pairs ({pairs.length})
+        </button>
+      </div>
+
+      {visiblePairs.length === 0 ? (
+        <p className="report-panel-empty">
+          {pairs.length === 0 ? 'No token pairs match the pair rules' : 'Every pair passes in every mode'}
+        </p>
+      ) : (
+        <div className="contrast-table-wrapper">
+          <table className="contrast-table">
+            <thead>
+              <tr>
+                <th>Foreground</th>
+                <th>Background</th>
+                {modes.map(mode => <th key={mode || 'value'}>{mode || 'Value'}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {visiblePairs.map(pair => (
+                <tr key={`${pair.foreground}|${pair.background}`}>
+                  <td>
+                    <button className="report-panel-token-link" onClick={() => onSelectToken(pair.foreground)}>
+                      {pair.foreground}
+                    </button>
+                  </td>
+                  <td>
+                    <button className="report-panel-token-link" onClick={() => onSelectToken(pair.background)}>
+                      {pair.background}
+                    </button>
+                  </td>
+                  {pair.results.map(result => {
+                    const pass = isContrastPass(result, standard);
+                    return (
+                      <td
+                        key={result.mode || 'value'}
+                        className={`contrast-result ${pass === null ? 'skipped' : pass ? 'pass' : 'fail'}`}
+                        title={describeResult(pair, result)}
+                      >
+                        {formatResult(result)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </ReportPanel>
+  );
+}
+
+export default ContrastPanel;
@@ -0,0 +1,93 @@
+import React, { useMemo, useState } from 'react';
+import ReportPanel from './ReportPanel';
+import { DIAGNOSTIC_SEVERITIES, buildDiagnosticsReport } from '../utils/diagnostics';
+import { downloadFile } from '../utils/download';
+
+// Display labels for diagnostic kinds
+const KIND_LABELS = {
+  'skipped-token': 'Skipped token',
+  'skipped-rule': 'Skipped rule',
+  'unresolved-reference': 'Unresolved reference',
+  'duplicate-id': 'Duplicate id',
+  'unknown-value-format': 'Unknown value format',
+  'no-links': 'No links',
+  'resolved-alias': 'Resolved alias',
+  'ambiguous-alias': 'Ambiguous alias',
+  'circular-reference': 'Circular reference'
+};
+
+function DiagnosticsPanel({ diagnostics, sourceName, onSelectToken, onClose }) {
+  const [severityFilter, setSeverityFilter] = useState('all');
+
+  const countsBySeverity = useMemo(() => {
+    const counts = {};
+    diagnostics.forEach(diagnostic => {
+      counts[diagnostic.severity] = (counts[diagnostic.severity] || 0) + 1;
+    });
+    return counts;
+  }, [diagnostics]);
+
+  const visibleDiagnostics = severityFilter === 'all'
+    ? diagnostics
+    : diagnostics.filter(diagnostic => diagnostic.severity === severityFilter);
+
+  const handleExport = () => {
+    const report = buildDiagnosticsReport(diagnostics, sourceName);
+    downloadFile(JSON.stringify(report, null, 2), 'token-diagnostics.json');
+  };
+
+  return (
+    <ReportPanel
+      title="Import diagnostics"
+      count={diagnostics.length}
+      onClose={onClose}
+      actions={
+        <button className="report-panel-action" onClick={handleExport}>
+          Export JSON
+        </button>
+      }
+    >
+      <div className="report-panel-filters">
+        {['all', ...DIAGNOSTIC_SEVERITIES].map(severity => (
+          <button
+            key={severity}
+            className={`report-panel-filter ${severityFilter === severity ? 'active' : ''}`}
+            onClick={() => setSeverityFilter(severity)}
+          >
+            {severity === 'all' ? `All (${diagnostics.length})` : `${severity} (${countsBySeverity[severity] || 0})`}
+          </button>
+        ))}
+      </div>
+
+      {visibleDiagnostics.length === 0 ? (
+        <p className="report-panel-empty">No diagnostics</p>
+      ) : (
+        <ul className="report-panel-list">
+          {visibleDiagnostics.map((diagnostic, index) => (
+            <li
+              key={`${diagnostic.kind}-${diagnostic.tokenId || diagnostic.path || ''}-${index}`}
+              className={`report-panel-item ${diagnostic.tokenId ? 'clickable' : ''}`}
+              onClick={diagnostic.tokenId ? () => onSelectToken(diagnostic.tokenId) : undefined}
+              title={diagnostic.tokenId ? `Show ${diagnostic.tokenId} on the canvas` : undefined}
+            >
+              <div className="report-panel-item-meta">
+                <span className={`report-panel-severity ${diagnostic.severity}`}>{diagnostic.severity}</span>
+                <span>{KIND_LABELS[diagnostic.kind] || diagnostic.kind}</span>
+                {diagnostic.mode && <span>· {diagnostic.mode}</span>}
+              </div>
+              <span>{diagnostic.message}</span>
+              {(diagnostic.path || diagnostic.file) && (
+                <div className="report-panel-item-meta">
+                  {diagnostic.path && <code>{diagnostic.path}</code>}
+                  {diagnostic.file && <span>{diagnostic.file}</span>}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </ReportPanel>
+  );
+}
+
+export default DiagnosticsPanel;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import './ImportModal.css';
+import './ExportModal.css';
+import { Cross2Icon } from '@radix-ui/react-icons';
+
+// Options for exporting reference chains as a Graphviz DOT or Mermaid diagram
+function DiagramExportModal({ isOpen, hasSearch, onExport, onClose }) {
+  const [scope, setScope] = useState('full');
+  const [format, setFormat] = useState('mermaid');
+
+  if (!isOpen) return null;
+
+  const selectedScope = scope === 'search' && !hasSearch ? 'full' : scope;
+
+  const handleExport = () => {
+    onExport({ scope: selectedScope, format });
+    onClose();
+  };
+
+  return (
+    <div className="import-modal-overlay" onClick={onClose}>
+      <div className="import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="import-modal-header">
+          <h2>Export Diagram</h2>
+          <button className="import-modal-close" onClick={onClose} aria-label="Close">
+            <Cross2Icon />
+          </button>
+        </div>
+
+        <div className="import-modal-content">
+          <fieldset className="export-option-group">
+            <legend>Tokens</legend>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="diagram-export-scope"
+                checked={selectedScope === 'full'}
+                onChange={() => setScope('full')}
+              />
+              <span>Full graph</span>
+            </label>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="diagram-export-scope"
+                checked={selectedScope === 'search'}
+                disabled={!hasSearch}
+                onChange={() => setScope('search')}
+              />
+              <span>Search results</span>
+            </label>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="diagram-export-scope"
+                checked={selectedScope === 'focus'}
+                onChange={() => setScope('focus')}
+              />
+              <span>Focus mode chain</span>
+            </label>
+          </fieldset>
+
+          <fieldset className="export-option-group">
+            <legend>Format</legend>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="diagram-export-format"
+                checked={format === 'mermaid'}
+                onChange={() => setFormat('mermaid')}
+              />
+              <span>Mermaid flowchart</span>
+            </label>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="diagram-export-format"
+                checked={format === 'dot'}
+                onChange={() => setFormat('dot')}
+              />
+              <span>Graphviz DOT</span>
+            </label>
+          </fieldset>
+
+          <button className="import-option-btn export-submit-btn" onClick={handleExport}>
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DiagramExportModal;
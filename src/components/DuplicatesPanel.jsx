@@ -0,0 +1,100 @@
+import React, { useMemo, useState } from 'react';
+import ReportPanel from './ReportPanel';
+import './DuplicatesPanel.css';
+import { COLOR_DISTANCE_METRICS } from '../utils/duplicateValues';
+import { parseColor } from '../utils/colorUtils';
+
+// Clusters of primitives with the same value or colors that look alike, with swatches;
+// a cluster can be selected on the canvas to compare its tokens' consumers
+function DuplicatesPanel({ clusters, config, onConfigChange, onSelectCluster, onSelectToken, onClose }) {
+  const [kindFilter, setKindFilter] = useState('all');
+
+  const exactCount = useMemo(() => clusters.filter(cluster => cluster.kind === 'exact').length, [clusters]);
+  const visibleClusters = kindFilter === 'all' ? clusters : clusters.filter(cluster => cluster.kind === kindFilter);
+
+  return (
+    <ReportPanel title="Duplicates" count={clusters.length} onClose={onClose}>
+      <div className="duplicates-settings">
+        {COLOR_DISTANCE_METRICS.map(({ id, name }) => (
+          <button
+            key={id}
+            className={`report-panel-filter ${config.metric === id ? 'active' : ''}`}
+            onClick={() => onConfigChange({ ...config, metric: id })}
+          >
+            {name}
+          </button>
+        ))}
+        <label className="duplicates-threshold" title="Colors this close or closer in every mode are near-duplicates; 0 turns them off">
+          <span>ΔE ≤</span>
+          <input
+            type="number"
+            min="0"
+            max="20"
+            step="0.5"
+            value={config.threshold}
+            onChange={(e) => onConfigChange({ ...config, threshold: Math.max(0, parseFloat(e.target.value) || 0) })}
+          />
+        </label>
+      </div>
+
+      <div className="report-panel-filters">
+        {[
+          ['all', `All (${clusters.length})`],
+          ['exact', `Identical (${exactCount})`],
+          ['near', `Near-duplicates (${clusters.length - exactCount})`]
+        ].map(([kind, label]) => (
+          <button
+            key={kind}
+            className={`report-panel-filter ${kindFilter === kind ? 'active' : ''}`}
+            onClick={() => setKindFilter(kind)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {visibleClusters.length === 0 ? (
+        <p className="report-panel-empty">No primitives share a value</p>
+      ) : (
+        <ul className="report-panel-list">
+          {visibleClusters.map(cluster => (
+            <li key={`${cluster.kind}-${cluster.members[0].tokenId}`} className="report-panel-item">
+              <div className="report-panel-item-meta">
+                <span className={`report-panel-severity ${cluster.kind === 'exact' ? 'warning' : 'info'}`}>
+                  {cluster.kind === 'exact' ? 'identical' : `ΔE ${cluster.distance.toFixed(2)}`}
+                </span>
+                <span>{cluster.members.length} primitives</span>
+                <button
+                  className="report-panel-token-link"
+                  onClick={() => onSelectCluster(cluster.members.map(member => member.tokenId))}
+                  title="Select these tokens on the canvas"
+                >
+                  Select cluster
+                </button>
+              </div>
+              <div className="duplicates-members">
+                {cluster.members.map(member => (
+                  <button
+                    key={member.tokenId}
+                    className="duplicates-member"
+                    onClick={() => onSelectToken(member.tokenId)}
+                    title={`${member.value} · show ${member.tokenId} on the canvas`}
+                  >
+                    {parseColor(member.value) && (
+                      <span className="duplicates-swatch">
+                        <span style={{ background: member.value }} />
+                      </span>
+                    )}
+                    <code>{member.tokenId}</code>
+                  </button>
+                ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </ReportPanel>
+  );
+}
+
+export default DuplicatesPanel;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import './ImportModal.css';
+import './ExportModal.css';
+import { Cross2Icon } from '@radix-ui/react-icons';
+
+// Options for exporters that can write one mode or all of them, with references kept or resolved
+function ExportModal({ isOpen, title, selectedMode, modes, onExport, onClose }) {
+  const [modeScope, setModeScope] = useState('selected');
+  const [resolve, setResolve] = useState(false);
+
+  if (!isOpen) return null;
+
+  const canExportSelected = Boolean(selectedMode);
+  const scope = canExportSelected ? modeScope : 'all';
+
+  const handleExport = () => {
+    onExport({ modeScope: scope, resolve });
+    onClose();
+  };
+
+  return (
+    <div className="import-modal-overlay" onClick={onClose}>
+      <div className="import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="import-modal-header">
+          <h2>{title}</h2>
+          <button className="import-modal-close" onClick={onClose} aria-label="Close">
+            <Cross2Icon />
+          </button>
+        </div>
+
+        <div className="import-modal-content">
+          <fieldset className="export-option-group">
+            <legend>Modes</legend>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="export-mode-scope"
+                checked={scope === 'selected'}
+                disabled={!canExportSelected}
+                onChange={() => setModeScope('selected')}
+              />
+              <span>Selected mode{canExportSelected ? ` (${selectedMode})` : ''}</span>
+            </label>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="export-mode-scope"
+                checked={scope === 'all'}
+                onChange={() => setModeScope('all')}
+              />
+              <span>All modes{modes.length > 0 ? ` (${modes.length})` : ''}</span>
+            </label>
+          </fieldset>
+
+          <fieldset className="export-option-group">
+            <legend>Values</legend>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="export-values"
+                checked={!resolve}
+                onChange={() => setResolve(false)}
+              />
+              <span>Keep references between tokens</span>
+            </label>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="export-values"
+                checked={resolve}
+                onChange={() => setResolve(true)}
+              />
+              <span>Resolve to literal values</span>
+            </label>
+          </fieldset>
+
+          <button className="import-option-btn export-submit-btn" onClick={handleExport}>
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ExportModal;
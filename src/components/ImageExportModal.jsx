@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import './ImportModal.css';
+import './ExportModal.css';
+import { Cross2Icon } from '@radix-ui/react-icons';
+
+const PNG_SCALES = [1, 2, 4];
+
+// Options for exporting the canvas as an SVG or PNG image
+function ImageExportModal({ isOpen, onExport, onClose }) {
+  const [area, setArea] = useState('visible');
+  const [format, setFormat] = useState('svg');
+  const [scale, setScale] = useState(2);
+
+  if (!isOpen) return null;
+
+  const handleExport = () => {
+    onExport({ area, format, scale });
+    onClose();
+  };
+
+  return (
+    <div className="import-modal-overlay" onClick={onClose}>
+      <div className="import-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="import-modal-header">
+          <h2>Export Image</h2>
+          <button className="import-modal-close" onClick={onClose} aria-label="Close">
+            <Cross2Icon />
+          </button>
+        </div>
+
+        <div className="import-modal-content">
+          <fieldset className="export-option-group">
+            <legend>Area</legend>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="image-export-area"
+                checked={area === 'visible'}
+                onChange={() => setArea('visible')}
+              />
+              <span>Visible area</span>
+            </label>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="image-export-area"
+                checked={area === 'content'}
+                onChange={() => setArea('content')}
+              />
+              <span>Fit to content (the focused chain in focus mode)</span>
+            </label>
+          </fieldset>
+
+          <fieldset className="export-option-group">
+            <legend>Format</legend>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="image-export-format"
+                checked={format === 'svg'}
+                onChange={() => setFormat('svg')}
+              />
+              <span>SVG</span>
+            </label>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="image-export-format"
+                checked={format === 'png'}
+                onChange={() => setFormat('png')}
+              />
+              <span>PNG</span>
+            </label>
+          </fieldset>
+
+          {format === 'png' && (
+            <fieldset className="export-option-group">
+              <legend>Scale</legend>
+              {PNG_SCALES.map(value => (
+                <label key={value} className="export-option">
+                  <input
+                    type="radio"
+                    name="image-export-scale"
+                    checked={scale === value}
+                    onChange={() => setScale(value)}
+                  />
+                  <span>{value}x</span>
+                </label>
+              ))}
+            </fieldset>
+          )}
+
+          <button className="import-option-btn export-submit-btn" onClick={handleExport}>
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImageExportModal;
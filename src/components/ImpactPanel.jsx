@@ -0,0 +1,100 @@
+import React, { useMemo, useState } from 'react';
+import ReportPanel from './ReportPanel';
+import './ImpactPanel.css';
+
+// Everything downstream of a token, grouped by layer in canvas order, with a filter per mode
+function ImpactPanel({ impact, layers = [], onSelectToken, onClose }) {
+  const { tokenId, dependents, modes } = impact;
+  const hasModes = modes[0] !== null;
+  const [modeFilter, setModeFilter] = useState('all');
+
+  const countsByMode = useMemo(() => {
+    const counts = {};
+    dependents.forEach(dependent => {
+      dependent.modes.forEach(mode => {
+        counts[mode] = (counts[mode] || 0) + 1;
+      });
+    });
+    return counts;
+  }, [dependents]);
+
+  // Layers in canvas order, then any layer the canvas doesn't list
+  const layerGroups = useMemo(() => {
+    const visible = dependents.filter(dependent => modeFilter === 'all' || dependent.modes.includes(modeFilter));
+    const order = [
+      ...layers.map(entry => entry.layer),
+      ...visible.map(dependent => dependent.layer).filter(layer => !layers.some(entry => entry.layer === layer))
+    ];
+    return Array.from(new Set(order))
+      .map(layer => ({
+        layer,
+        name: (layers.find(entry => entry.layer === layer) || {}).name || layer,
+        dependents: visible.filter(dependent => dependent.layer === layer)
+      }))
+      .filter(group => group.dependents.length > 0);
+  }, [dependents, layers, modeFilter]);
+
+  // "all modes" when the dependency exists in every mode, nothing for graphs without modes
+  const getModesLabel = (dependentModes) => {
+    if (!hasModes) return null;
+    if (modes.length > 1 && dependentModes.length === modes.length) return 'all modes';
+    return dependentModes.join(', ');
+  };
+
+  return (
+    <ReportPanel title="Impact" count={dependents.length} onClose={onClose}>
+      <p className="impact-summary">
+        Tokens that change when <code>{tokenId}</code> changes
+        {layerGroups.length > 0 && `: ${layerGroups.map(group => `${group.dependents.length} ${group.name}`).join(', ')}`}
+      </p>
+
+      {hasModes && (
+        <div className="report-panel-filters">
+          {['all', ...modes].map(mode => (
+            <button
+              key={mode}
+              className={`report-panel-filter ${modeFilter === mode ? 'active' : ''}`}
+              onClick={() => setModeFilter(mode)}
+            >
+              {mode === 'all' ? `All modes (${dependents.length})` : `${mode} (${countsByMode[mode] || 0})`}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {layerGroups.length === 0 ? (
+        <p className="report-panel-empty">
+          {dependents.length === 0 ? 'No token references this token' : `No token references this token in ${modeFilter}`}
+        </p>
+      ) : layerGroups.map(group => (
+        <section key={group.layer}>
+          <h3 className="impact-layer-heading">
+            {group.name}
+            <span className="report-panel-count">{group.dependents.length}</span>
+          </h3>
+          <ul className="report-panel-list">
+            {group.dependents.map(dependent => {
+              const modesLabel = getModesLabel(dependent.modes);
+              return (
+                <li
+                  key={dependent.tokenId}
+                  className="report-panel-item clickable"
+                  onClick={() => onSelectToken(dependent.tokenId)}
+                  title={`Show ${dependent.tokenId} on the canvas`}
+                >
+                  <div className="report-panel-item-meta">
+                    <code>{dependent.tokenId}</code>
+                    <span>· {dependent.depth === 1 ? 'direct' : `${dependent.depth} steps`}</span>
+                    {modesLabel && <span>· {modesLabel}</span>}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </section>
+      ))}
+    </ReportPanel>
+  );
+}
+
+export default ImpactPanel;
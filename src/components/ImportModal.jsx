@@ -2,11 +2,14 @@ import React, { useRef, useState } from 'react';
 import './ImportModal.css';
 import { Cross2Icon } from '@radix-ui/react-icons';
 
-function ImportModal({ isOpen, onClose, onImportJSON, onImportTSX, onImportCSS }) {
+function ImportModal({ isOpen, onClose, onImportJSON, onImportTSX, onImportCSS, onImportFiles, onImportModeMatrix }) {
   const jsonInputRef = useRef(null);
   const cssInputRef = useRef(null);
+  const multiInputRef = useRef(null);
+  const folderInputRef = useRef(null);
   const primitivesInputRef = useRef(null);
   const semanticInputRef = useRef(null);
+  const modeMatrixInputRef = useRef(null);
   const [primitivesFile, setPrimitivesFile] = useState(null);
 
   if (!isOpen) return null;
@@ -23,6 +26,14 @@ function ImportModal({ isOpen, onClose, onImportJSON, onImportTSX, onImportCSS }
     primitivesInputRef.current?.click();
   };
 
+  const handleMultiClick = () => {
+    multiInputRef.current?.click();
+  };
+
+  const handleFolderClick = () => {
+    folderInputRef.current?.click();
+  };
+
   const handleJSONChange = (e) => {
     const file = e.target.files?.[0];
     if (file && onImportJSON) {
@@ -45,6 +56,26 @@ function ImportModal({ isOpen, onClose, onImportJSON, onImportTSX, onImportCSS }
     }
   };
 
+  // Several files or a whole folder are merged into one graph
+  const handleFilesChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length > 0 && onImportFiles) {
+      onImportFiles(files);
+      onClose();
+    }
+    e.target.value = '';
+  };
+
+  // A mode matrix CSV changes the loaded tokens instead of replacing them
+  const handleModeMatrixChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file && onImportModeMatrix) {
+      onImportModeMatrix(file);
+      onClose();
+    }
+    e.target.value = '';
+  };
+
   const handlePrimitivesChange = (e) => {
     const file = e.target.files?.[0];
     if (file) {
@@ -119,6 +150,38 @@ function ImportModal({ isOpen, onClose, onImportJSON, onImportTSX, onImportCSS }
             <span>OR</span>
           </div>
 
+          <div className="import-option">
+            <div className="import-option-btn-row">
+              <button className="import-option-btn" onClick={handleMultiClick}>
+                Upload Multiple Files
+              </button>
+              <button className="import-option-btn" onClick={handleFolderClick}>
+                Upload Folder
+              </button>
+            </div>
+            <p className="import-option-desc">Merge several JSON/CSS files (e.g. primitives, shared and component tokens) into one graph, linking references across files</p>
+            <input
+              ref={multiInputRef}
+              type="file"
+              accept=".json,.css"
+              multiple
+              onChange={handleFilesChange}
+              style={{ display: 'none' }}
+            />
+            <input
+              ref={folderInputRef}
+              type="file"
+              webkitdirectory=""
+              multiple
+              onChange={handleFilesChange}
+              style={{ display: 'none' }}
+            />
+          </div>
+
+          <div className="import-divider">
+            <span>OR</span>
+          </div>
+
           <div className="import-option">
             <button className="import-option-btn" onClick={handleTSXClick}>
               Upload TSX
@@ -141,6 +204,24 @@ function ImportModal({ isOpen, onClose, onImportJSON, onImportTSX, onImportCSS }
               style={{ display: 'none' }}
             />
           </div>
+
+          <div className="import-divider">
+            <span>OR</span>
+          </div>
+
+          <div className="import-option">
+            <button className="import-option-btn" onClick={() => modeMatrixInputRef.current?.click()}>
+              Apply Mode Matrix CSV
+            </button>
+            <p className="import-option-desc">Review and apply per-mode value changes from an edited mode matrix export to the loaded tokens</p>
+            <input
+              ref={modeMatrixInputRef}
+              type="file"
+              accept=".csv"
+              onChange={handleModeMatrixChange}
+              style={{ display: 'none' }}
+            />
+          </div>
         </div>
       </div>
     </div>
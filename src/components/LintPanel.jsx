@@ -0,0 +1,232 @@
+import React, { useMemo, useState } from 'react';
+import ReportPanel from './ReportPanel';
+import './LintPanel.css';
+import { DIAGNOSTIC_SEVERITIES } from '../utils/diagnostics';
+import { LINT_RULES, DEFAULT_LINT_CONFIG, getDefaultAllowedReferences } from '../utils/lintRules';
+
+const RULE_NAMES = Object.fromEntries(LINT_RULES.map(rule => [rule.id, rule.name]));
+
+// Rule settings: on/off and severity per rule, plus each rule's options
+function LintRulesEditor({ config, layers, onConfigChange }) {
+  const layerIds = layers.map(layer => layer.layer);
+  const overrides = config['layer-references'].allowed || {};
+  const allowed = { ...getDefaultAllowedReferences(layerIds), ...overrides };
+
+  const updateRule = (ruleId, changes) => {
+    onConfigChange({ ...config, [ruleId]: { ...config[ruleId], ...changes } });
+  };
+
+  // Editing the matrix overrides the default references of that row's layer only
+  const toggleAllowed = (source, target) => {
+    const targets = allowed[source] || [];
+    updateRule('layer-references', {
+      allowed: {
+        ...overrides,
+        [source]: targets.includes(target) ? targets.filter(layer => layer !== target) : [...targets, target]
+      }
+    });
+  };
+
+  return (
+    <div className="lint-rules">
+      {LINT_RULES.map(rule => {
+        const settings = config[rule.id];
+        return (
+          <div key={rule.id} className="lint-rule">
+            <div className="lint-rule-header">
+              <label className="lint-rule-toggle" title={rule.description}>
+                <input
+                  type="checkbox"
+                  checked={settings.enabled}
+                  onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                />
+                <span>{rule.name}</span>
+              </label>
+              <select
+                className="lint-rule-severity"
+                value={settings.severity}
+                onChange={(e) => updateRule(rule.id, { severity: e.target.value })}
+                aria-label={`${rule.name} severity`}
+              >
+                {DIAGNOSTIC_SEVERITIES.map(severity => (
+                  <option key={severity} value={severity}>{severity}</option>
+                ))}
+              </select>
+            </div>
+            <p className="lint-rule-description">{rule.description}</p>
+
+            {settings.enabled && rule.id === 'layer-references' && (
+              <table className="lint-layer-matrix">
+                <thead>
+                  <tr>
+                    <th>References →</th>
+                    {layers.map(target => <th key={target.layer}>{target.name}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {layers.map(source => (
+                    <tr key={source.layer}>
+                      <th>{source.name}</th>
+                      {layers.map(target => (
+                        <td key={target.layer}>
+                          <input
+                            type="checkbox"
+                            checked={(allowed[source.layer] || []).includes(target.layer)}
+                            onChange={() => toggleAllowed(source.layer, target.layer)}
+                            aria-label={`${source.name} may reference ${target.name}`}
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            {settings.enabled && rule.id === 'max-alias-depth' && (
+              <label className="lint-rule-option">
+                <span>Max aliases</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={settings.maxDepth}
+                  onChange={(e) => updateRule(rule.id, { maxDepth: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                />
+              </label>
+            )}
+
+            {settings.enabled && rule.id === 'naming' && layers.map(layer => (
+              <label key={layer.layer} className="lint-rule-option">
+                <span>{layer.name}</span>
+                <input
+                  type="text"
+                  placeholder="Regular expression, e.g. ^[a-z0-9.-]+$"
+                  value={settings.patterns[layer.layer] || ''}
+                  onChange={(e) => updateRule(rule.id, { patterns: { ...settings.patterns, [layer.layer]: e.target.value } })}
+                />
+              </label>
+            ))}
+          </div>
+        );
+      })}
+      <button className="report-panel-action" onClick={() => onConfigChange(DEFAULT_LINT_CONFIG)}>
+        Reset to defaults
+      </button>
+    </div>
+  );
+}
+
+// Lint violations with severity and rule filters, and the rule settings
+function LintPanel({ result, config, layers, onConfigChange, onSelectToken, onClose }) {
+  const { violations, errors } = result;
+  const [showRules, setShowRules] = useState(false);
+  const [severityFilter, setSeverityFilter] = useState('all');
+  const [ruleFilter, setRuleFilter] = useState('all');
+
+  const countsBySeverity = useMemo(() => {
+    const counts = {};
+    violations.forEach(violation => {
+      counts[violation.severity] = (counts[violation.severity] || 0) + 1;
+    });
+    return counts;
+  }, [violations]);
+
+  const countsByRule = useMemo(() => {
+    const counts = {};
+    violations.forEach(violation => {
+      counts[violation.ruleId] = (counts[violation.ruleId] || 0) + 1;
+    });
+    return counts;
+  }, [violations]);
+
+  const visibleViolations = violations.filter(violation =>
+    (severityFilter === 'all' || violation.severity === severityFilter) &&
+    (ruleFilter === 'all' || violation.ruleId === ruleFilter)
+  );
+
+  // The modes a violation applies in (none for rules that don't depend on modes, or graphs without modes)
+  const getModesLabel = (modes) => {
+    if (modes.length === 0 || modes[0] === null) return null;
+    return modes.join(', ');
+  };
+
+  return (
+    <ReportPanel
+      title="Lint"
+      count={violations.length}
+      onClose={onClose}
+      actions={
+        <button className="report-panel-action" onClick={() => setShowRules(prev => !prev)}>
+          {showRules ? 'Hide rules' : 'Rules'}
+        </button>
+      }
+    >
+      {showRules && <LintRulesEditor config={config} layers={layers} onConfigChange={onConfigChange} />}
+
+      {errors.length > 0 && (
+        <ul className="report-panel-list">
+          {errors.map(error => (
+            <li key={`${error.ruleId}-${error.layer}`} className="report-panel-item">
+              <div className="report-panel-item-meta">
+                <span className="report-panel-severity warning">config</span>
+                <span>{RULE_NAMES[error.ruleId]}</span>
+              </div>
+              <span>{error.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="report-panel-filters">
+        {['all', ...DIAGNOSTIC_SEVERITIES].map(severity => (
+          <button
+            key={severity}
+            className={`report-panel-filter ${severityFilter === severity ? 'active' : ''}`}
+            onClick={() => setSeverityFilter(severity)}
+          >
+            {severity === 'all' ? `All (${violations.length})` : `${severity} (${countsBySeverity[severity] || 0})`}
+          </button>
+        ))}
+      </div>
+      <div className="report-panel-filters">
+        {['all', ...LINT_RULES.map(rule => rule.id)].map(ruleId => (
+          <button
+            key={ruleId}
+            className={`report-panel-filter ${ruleFilter === ruleId ? 'active' : ''}`}
+            onClick={() => setRuleFilter(ruleId)}
+          >
+            {ruleId === 'all' ? 'All rules' : `${RULE_NAMES[ruleId]} (${countsByRule[ruleId] || 0})`}
+          </button>
+        ))}
+      </div>
+
+      {visibleViolations.length === 0 ? (
+        <p className="report-panel-empty">No violations</p>
+      ) : (
+        <ul className="report-panel-list">
+          {visibleViolations.map((violation, index) => {
+            const modesLabel = getModesLabel(violation.modes);
+            return (
+              <li
+                key={`${violation.ruleId}-${violation.tokenId}-${index}`}
+                className="report-panel-item clickable"
+                onClick={() => onSelectToken(violation.tokenId)}
+                title={`Show ${violation.tokenId} on the canvas`}
+              >
+                <div className="report-panel-item-meta">
+                  <span className={`report-panel-severity ${violation.severity}`}>{violation.severity}</span>
+                  <span>{RULE_NAMES[violation.ruleId]}</span>
+                  <code>{violation.tokenId}</code>
+                  {modesLabel && <span>· {modesLabel}</span>}
+                </div>
+                <span>{violation.message}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </ReportPanel>
+  );
+}
+
+export default LintPanel;
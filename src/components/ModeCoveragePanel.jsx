@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from 'react';
+import ReportPanel from './ReportPanel';
+import './ModeCoveragePanel.css';
+import { parseColor } from '../utils/colorUtils';
+
+const FILTERS = [
+  { id: 'gaps', name: 'Missing or fallback', matches: (row) => row.missing > 0 || row.fallback > 0 },
+  { id: 'repeated', name: 'Repeated values', matches: (row) => row.repeated > 0 },
+  { id: 'all', name: 'All', matches: () => true }
+];
+
+// Tooltip for a cell: what the mode uses and why it's highlighted
+function describeCell(cell) {
+  if (cell.status === 'missing') return `No value in ${cell.mode}`;
+  const resolved = cell.resolved !== null && cell.resolved !== undefined && cell.resolved !== cell.raw
+    ? ` → ${cell.resolved}`
+    : '';
+  if (cell.status === 'fallback') return `No ${cell.mode} value; falls back to ${cell.raw}${resolved}`;
+  const repeated = cell.sameAs.length > 0 ? ` (same as ${cell.sameAs.join(', ')})` : '';
+  return `${cell.raw}${resolved}${repeated}`;
+}
+
+// Tokens with per-mode values as rows and the graph's modes as columns: the raw value and a swatch
+// of the resolved color in each cell, highlighting missing modes, fallbacks and repeated values
+function ModeCoveragePanel({ coverage, selectedMode, onSelectToken, onClose }) {
+  const { modes, rows, uniformCount } = coverage;
+  const [filter, setFilter] = useState('gaps');
+
+  const counts = useMemo(
+    () => Object.fromEntries(FILTERS.map(({ id, matches }) => [id, rows.filter(matches).length])),
+    [rows]
+  );
+  const visibleRows = rows.filter(FILTERS.find(({ id }) => id === filter).matches);
+
+  return (
+    <ReportPanel
+      title="Mode coverage"
+      count={counts.gaps}
+      className="mode-coverage-panel"
+      onClose={onClose}
+    >
+      <div className="report-panel-filters">
+        {FILTERS.map(({ id, name }) => (
+          <button
+            key={id}
+            className={`report-panel-filter ${filter === id ? 'active' : ''}`}
+            onClick={() => setFilter(id)}
+          >
+            {name} ({counts[id]})
+          </button>
+        ))}
+      </div>
+      <p className="mode-coverage-legend">
+        <span className="mode-coverage-cell missing">missing</span>
+        <span className="mode-coverage-cell fallback">falls back to value</span>
+        <span className="mode-coverage-cell repeated">same as another mode</span>
+        {uniformCount > 0 && <span>{uniformCount} tokens with one value for every mode aren't listed</span>}
+      </p>
+
+      {modes.length === 0 ? (
+        <p className="report-panel-empty">The loaded tokens have no modes</p>
+      ) : visibleRows.length === 0 ? (
+        <p className="report-panel-empty">
+          {filter === 'gaps' ? 'Every token defines every mode' : 'No tokens to show'}
+        </p>
+      ) : (
+        <div className="mode-coverage-table-wrapper">
+          <table className="mode-coverage-table">
+            <thead>
+              <tr>
+                <th>Token</th>
+                {modes.map(mode => (
+                  <th key={mode} className={mode === selectedMode ? 'current' : ''}>{mode}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map(row => (
+                <tr key={row.tokenId}>
+                  <td>
+                    <button className="report-panel-token-link" onClick={() => onSelectToken(row.tokenId)}>
+                      {row.tokenId}
+                    </button>
+                  </td>
+                  {row.cells.map(cell => {
+                    const highlight = cell.status !== 'own' ? cell.status : cell.sameAs.length > 0 ? 'repeated' : '';
+                    return (
+                      <td key={cell.mode} className={`mode-coverage-cell ${highlight}`} title={describeCell(cell)}>
+                        {parseColor(cell.resolved) && (
+                          <span className="mode-coverage-swatch">
+                            <span style={{ background: cell.resolved }} />
+                          </span>
+                        )}
+                        <code>{cell.status === 'missing' ? '—' : cell.raw}</code>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </ReportPanel>
+  );
+}
+
+export default ModeCoveragePanel;
@@ -0,0 +1,72 @@
+import React from 'react';
+import ReportPanel from './ReportPanel';
+
+// Review of the changes a mode matrix CSV would make to the loaded tokens, before they're applied
+function ModeMatrixPanel({ report, fileName, onApply, onSelectToken, onClose }) {
+  const { changes, unknownTokens, unknownModes } = report;
+
+  return (
+    <ReportPanel
+      title={`Mode matrix changes${fileName ? ` (${fileName})` : ''}`}
+      count={changes.length}
+      onClose={onClose}
+      actions={changes.length > 0 && (
+        <button className="report-panel-action" onClick={onApply}>
+          Apply {changes.length} change{changes.length === 1 ? '' : 's'}
+        </button>
+      )}
+    >
+      {(unknownTokens.length > 0 || unknownModes.length > 0) && (
+        <ul className="report-panel-list">
+          {unknownModes.length > 0 && (
+            <li className="report-panel-item">
+              <div className="report-panel-item-meta">
+                <span className="report-panel-severity warning">warning</span>
+                <span>Unknown modes</span>
+              </div>
+              <span>These columns don't match a mode of the loaded tokens and were ignored: {unknownModes.join(', ')}</span>
+            </li>
+          )}
+          {unknownTokens.length > 0 && (
+            <li className="report-panel-item">
+              <div className="report-panel-item-meta">
+                <span className="report-panel-severity warning">warning</span>
+                <span>Unknown tokens</span>
+              </div>
+              <span>
+                {unknownTokens.length} row(s) name tokens that aren't loaded and were ignored: {unknownTokens.slice(0, 5).join(', ')}
+                {unknownTokens.length > 5 ? ', …' : ''}
+              </span>
+            </li>
+          )}
+        </ul>
+      )}
+
+      {changes.length === 0 ? (
+        <p className="report-panel-empty">The CSV matches the loaded tokens</p>
+      ) : (
+        <ul className="report-panel-list">
+          {changes.map(change => (
+            <li
+              key={`${change.tokenId}@${change.mode}`}
+              className="report-panel-item clickable"
+              onClick={() => onSelectToken(change.tokenId)}
+              title={`Show ${change.tokenId} on the canvas`}
+            >
+              <div className="report-panel-item-meta">
+                {change.unresolved && <span className="report-panel-severity warning">unresolved</span>}
+                <code>{change.tokenId}</code>
+                {change.mode && <span>· {change.mode}</span>}
+              </div>
+              <span>
+                <code>{change.from || '(empty)'}</code> → <code>{change.to}</code>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </ReportPanel>
+  );
+}
+
+export default ModeMatrixPanel;
@@ -0,0 +1,98 @@
+import React from 'react';
+import ReportPanel from './ReportPanel';
+import { formatCycle } from '../utils/referenceCycles';
+
+// Reference cycles, then broken references per token: the missing reference, the modes
+// it's used in, and the closest token ids
+function ProblemsPanel({ brokenReferences, referenceCycles = [], modes = [], onSelectToken, onClose }) {
+  const problemCount = brokenReferences.reduce((count, entry) => count + entry.problems.length, referenceCycles.length);
+
+  // "all modes" when the problem exists in every mode, nothing for tokens without modes
+  const getModesLabel = (problemModes) => {
+    if (problemModes.length === 1 && problemModes[0] === null) return null;
+    if (modes.length > 1 && problemModes.length === modes.length) return 'all modes';
+    return problemModes.join(', ');
+  };
+
+  return (
+    <ReportPanel title="Problems" count={problemCount} onClose={onClose}>
+      {problemCount === 0 ? (
+        <p className="report-panel-empty">Every reference points at an existing token, and no references loop</p>
+      ) : (
+        <ul className="report-panel-list">
+          {referenceCycles.map(({ members, modes: cycleModes }) => {
+            const modesLabel = getModesLabel(cycleModes);
+            return (
+              <li key={`cycle-${members.join('>')}`} className="report-panel-item">
+                <div className="report-panel-item-meta">
+                  <span className="report-panel-severity error">circular reference</span>
+                  <span>{members.length} token{members.length === 1 ? '' : 's'}</span>
+                  {modesLabel && <span>· {modesLabel}</span>}
+                </div>
+                <span><code>{formatCycle(members)}</code></span>
+                <div className="report-panel-item-meta">
+                  <span>Members</span>
+                  {members.map(tokenId => (
+                    <button
+                      key={tokenId}
+                      className="report-panel-token-link"
+                      onClick={() => onSelectToken(tokenId)}
+                      title={`Show ${tokenId} on the canvas`}
+                    >
+                      {tokenId}
+                    </button>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+          {brokenReferences.map(({ tokenId, layer, problems }) => problems.map(problem => {
+            const modesLabel = getModesLabel(problem.modes);
+            return (
+              <li
+                key={`${tokenId}-${problem.reference}`}
+                className="report-panel-item clickable"
+                onClick={() => onSelectToken(tokenId)}
+                title={`Show ${tokenId} on the canvas`}
+              >
+                <div className="report-panel-item-meta">
+                  <span className="report-panel-severity error">broken reference</span>
+                  <code>{tokenId}</code>
+                  {layer && <span>· {layer}</span>}
+                </div>
+                <span>
+                  <code>{problem.value}</code> points at <code>{problem.reference}</code>, which is not defined
+                  {modesLabel && ` (${modesLabel})`}
+                </span>
+                <div className="report-panel-item-meta">
+                  {problem.suggestions.length === 0 ? (
+                    <span>No similar token names</span>
+                  ) : (
+                    <>
+                      <span>Did you mean</span>
+                      {problem.suggestions.map(suggestion => (
+                        <button
+                          key={suggestion.tokenId}
+                          className="report-panel-token-link"
+                          onClick={(event) => {
+                            event.stopPropagation();
+                            onSelectToken(suggestion.tokenId);
+                          }}
+                          title={`Show ${suggestion.tokenId} on the canvas`}
+                        >
+                          {suggestion.tokenId}
+                        </button>
+                      ))}
+                    </>
+                  )}
+                </div>
+              </li>
+            );
+          }))}
+        </ul>
+      )}
+    </ReportPanel>
+  );
+}
+
+export default ProblemsPanel;
@@ -0,0 +1,30 @@
+import React from 'react';
+import './ReportPanel.css';
+import { Cross2Icon } from '@radix-ui/react-icons';
+
+/**
+ * Floating panel shell for reports (diagnostics, audits) shown over the canvas
+ */
+function ReportPanel({ title, count, actions, className = '', onClose, children }) {
+  return (
+    <div className={`report-panel ${className}`} role="dialog" aria-label={title}>
+      <div className="report-panel-header">
+        <h2>
+          {title}
+          {count !== undefined && <span className="report-panel-count">{count}</span>}
+        </h2>
+        <div className="report-panel-actions">
+          {actions}
+          <button className="report-panel-close" onClick={onClose} aria-label="Close">
+            <Cross2Icon />
+          </button>
+        </div>
+      </div>
+      <div className="report-panel-body">
+        {children}
+      </div>
+    </div>
+  );
+}
+
+export default ReportPanel;
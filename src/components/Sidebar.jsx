@@ -9,8 +9,13 @@ function Sidebar({
   modes,
   selectedTokens,
   onTokenRemove,
+  inspectedToken,
+  onShowImpact,
   collapsed,
-  isTeardropOnly
+  isTeardropOnly,
+  datasets = [],
+  activeDatasetId,
+  onDatasetChange
 }) {
   // Get display name for mode
   const getModeDisplayName = (mode) => {
@@ -42,6 +47,25 @@ function Sidebar({
         </section>
         <section className="sidebar-middle">
         <div className="filters-section">
+          {datasets.length > 1 && (
+            <div className="filter-group">
+              <label className="filter-label">Dataset</label>
+              <div className="radio-group">
+                {datasets.map(dataset => (
+                  <label key={dataset.id} className="radio-option" title={dataset.fileName}>
+                    <input
+                      type="radio"
+                      name="dataset"
+                      value={dataset.id}
+                      checked={activeDatasetId === dataset.id}
+                      onChange={(e) => onDatasetChange(e.target.value)}
+                    />
+                    <span>{dataset.name}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
           <div className="filter-group">
             <label className="filter-label">Mode</label>
             <div className="radio-group">
@@ -65,6 +89,44 @@ function Sidebar({
               )}
             </div>
           </div>
+          {inspectedToken && (
+            <div className="filter-group">
+              <label className="filter-label">Selected Token</label>
+              <dl className="token-inspector">
+                <dt>Name</dt>
+                <dd className="monospace">{inspectedToken.name}</dd>
+                <dt>Layer</dt>
+                <dd>{inspectedToken.layer}</dd>
+                <dt>Value</dt>
+                <dd className="monospace">
+                  {String((inspectedToken.modes && selectedMode && inspectedToken.modes[selectedMode] !== undefined)
+                    ? inspectedToken.modes[selectedMode]
+                    : inspectedToken.value)}
+                </dd>
+                {inspectedToken.sourceFile && (
+                  <>
+                    <dt>File</dt>
+                    <dd className="monospace">{inspectedToken.sourceFile}</dd>
+                  </>
+                )}
+                {inspectedToken.description && (
+                  <>
+                    <dt>Description</dt>
+                    <dd>{inspectedToken.description}</dd>
+                  </>
+                )}
+              </dl>
+              {onShowImpact && (
+                <button
+                  className="token-inspector-action"
+                  onClick={() => onShowImpact(inspectedToken.id)}
+                  title="List every token that depends on this token, in every mode, and highlight them on the canvas"
+                >
+                  Impact
+                </button>
+              )}
+            </div>
+          )}
         </div>
       </section>
       <section className="sidebar-bottom">
@@ -77,6 +139,7 @@ function Sidebar({
             <li><span>Zoom in</span> <kbd>Z</kbd></li>
             <li><span>Zoom out</span> <kbd>Shift</kbd> + <kbd>Z</kbd></li>
             <li><span>Scroll</span> <kbd>Zoom</kbd></li>
+            <li><span>Import pasted JSON/CSS</span> <kbd>⌘</kbd> + <kbd>V</kbd></li>
           </ul>
         </div>
       </section>
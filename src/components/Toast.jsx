@@ -0,0 +1,27 @@
+import React, { useEffect } from 'react';
+import './Toast.css';
+import { Cross2Icon } from '@radix-ui/react-icons';
+
+// How long a toast stays on screen before dismissing itself
+const TOAST_DURATION = 6000;
+
+function Toast({ toast, onDismiss }) {
+  useEffect(() => {
+    if (!toast) return;
+    const timeoutId = setTimeout(onDismiss, TOAST_DURATION);
+    return () => clearTimeout(timeoutId);
+  }, [toast, onDismiss]);
+
+  if (!toast) return null;
+
+  return (
+    <div className={`toast toast-${toast.type || 'info'}`} role={toast.type === 'error' ? 'alert' : 'status'}>
+      <p className="toast-message">{toast.message}</p>
+      <button className="toast-close" onClick={onDismiss} aria-label="Dismiss">
+        <Cross2Icon />
+      </button>
+    </div>
+  );
+}
+
+export default Toast;
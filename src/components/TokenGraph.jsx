@@ -1,6 +1,8 @@
 import React, { useRef, useEffect, useMemo, useState, forwardRef, useImperativeHandle, useCallback } from 'react';
 import TokenNode from './TokenNode';
 import TokenConnection from './TokenConnection';
+import { createAliasResolver } from '../utils/aliasResolver';
+import { getReferenceId } from '../utils/references';
 import './TokenGraph.css';
 
 const COLUMN_WIDTH = 650;
@@ -63,7 +65,14 @@ const TokenGraph = forwardRef(function TokenGraph({
   onHoverNodeChange,
   selectedMode,
   sidebarCollapsed,
-  interactiveHighlighting
+  interactiveHighlighting,
+  onDropFiles,
+  onPasteText,
+  problemCounts,
+  cycleEdgeKeys,
+  lintBadges,
+  contrastFailures,
+  impactTree
 }, ref) {
   const containerRef = useRef(null);
   const isPanningRef = useRef(false);
@@ -2524,55 +2533,15 @@ const TokenGraph = forwardRef(function TokenGraph({
   }, [zoom, onDraggingChange]);
 
 
-  // Helper to convert underscore-separated names to dot-separated (lowercase)
-  const convertUnderscoreToDot = (name) => {
-    if (!name || typeof name !== 'string') return name;
-    if (!name.includes('_')) return name.toLowerCase();
-    return name.toLowerCase().replace(/_/g, '.');
-  };
-
-  // Helper to resolve a raw value to an actual token ID
+  // Resolve a raw value to an actual token ID with the same alias rules the parsers use
+  // (token ids, original names like 'NEUTRAL_69', hyphenated and case-insensitive names)
+  const aliasResolver = useMemo(() => createAliasResolver(allNodes), [allNodes]);
   const resolveTokenId = useCallback((rawValue) => {
     if (!rawValue || typeof rawValue !== 'string' || rawValue.startsWith('#')) {
       return null;
     }
-    
-    // Try multiple lookup strategies (same as rebuildLinksWithPrimitives)
-    // 1. Try original name as-is (e.g., 'NEUTRAL_69')
-    let targetNode = allNodes.find(n => n.id === rawValue || n.originalName === rawValue);
-    if (targetNode) return targetNode.id;
-    
-    // 2. Try converted name (e.g., 'neutral.69')
-    const convertedValue = convertUnderscoreToDot(rawValue);
-    if (convertedValue !== rawValue) {
-      targetNode = allNodes.find(n => n.id === convertedValue || n.originalName === convertedValue);
-      if (targetNode) return targetNode.id;
-    }
-    
-    // 3. Check if rawValue matches an originalName of a semantic token
-    targetNode = allNodes.find(n => n.originalName === rawValue);
-    if (targetNode) return targetNode.id;
-    
-    // 4. Check if converted rawValue matches any node's id or originalName
-    targetNode = allNodes.find(n => 
-      n.id === convertedValue || 
-      n.originalName === convertedValue ||
-      (n.originalName && convertUnderscoreToDot(n.originalName) === convertedValue)
-    );
-    if (targetNode) return targetNode.id;
-    
-    // 5. Try case-insensitive search as last resort
-    targetNode = allNodes.find(n => {
-      const nConverted = convertUnderscoreToDot(n.name || n.id || '');
-      return nConverted.toLowerCase() === convertedValue.toLowerCase() || 
-             n.name?.toLowerCase() === rawValue.toLowerCase() ||
-             n.id?.toLowerCase() === rawValue.toLowerCase() ||
-             n.originalName?.toLowerCase() === rawValue.toLowerCase();
-    });
-    if (targetNode) return targetNode.id;
-    
-    return null;
-  }, [allNodes]);
+    return getReferenceId(rawValue, aliasResolver);
+  }, [aliasResolver]);
 
   // Trace connection chain from a token down to primitive tokens
   const traceConnectionChain = useCallback((tokenId, visited = new Set()) => {
@@ -3109,6 +3078,58 @@ const TokenGraph = forwardRef(function TokenGraph({
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [onPan, onZoom, focusMode, exitFocusMode]);
 
+  // Paste-to-import: JSON or CSS text (or copied files) pasted anywhere outside a text field
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
+        return;
+      }
+      const files = Array.from(e.clipboardData?.files || []);
+      if (files.length > 0 && onDropFiles) {
+        e.preventDefault();
+        onDropFiles(files);
+        return;
+      }
+      const text = e.clipboardData?.getData('text/plain');
+      if (text && text.trim() && onPasteText) {
+        e.preventDefault();
+        onPasteText(text);
+      }
+    };
+
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, [onDropFiles, onPasteText]);
+
+  // Drag-and-drop import: only react to drags that carry files (not node drags or text selections)
+  const [isFileDragOver, setIsFileDragOver] = useState(false);
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e) || !onDropFiles) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    if (!isFileDragOver) {
+      setIsFileDragOver(true);
+    }
+  };
+
+  const handleDragLeave = (e) => {
+    // Ignore leave events fired when moving between children of the container
+    if (containerRef.current?.contains(e.relatedTarget)) return;
+    setIsFileDragOver(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e) || !onDropFiles) return;
+    e.preventDefault();
+    setIsFileDragOver(false);
+    const files = Array.from(e.dataTransfer.files || []);
+    if (files.length > 0) {
+      onDropFiles(files);
+    }
+  };
+
   // Get connections for rendering (exclude group-member and layer-group-member links)
   // Calculate which nodes are connected to selected tokens (for interactive highlighting)
   const connectedToSelectedNodes = useMemo(() => {
@@ -3444,10 +3465,105 @@ const TokenGraph = forwardRef(function TokenGraph({
   }, [selectedTokens]);
 
   // Expose methods and positioned nodes via ref
+  // Split connections into the faded set and the highlighted set drawn on top of it, with the opacity
+  // each is drawn at; the canvas and the image export both use this
+  const getConnectionLayers = () => {
+    const normal = [];
+    const highlighted = [];
+    const showImpact = Boolean(impactTree) && !focusMode;
+    const hasSelection = selectedTokens.length > 0 || showImpact;
+    connections.forEach((conn, idx) => {
+      // In focus mode, show all chain connections (they're all highlighted)
+      // Outside focus mode, highlight the impact tree when there is one, otherwise connections to selected tokens
+      const isChainConnection = focusMode && conn.isChain === true;
+      // Reference cycles are always highlighted (in red) so they stand out
+      // (focus mode chain connections run from the referenced token to the one referencing it)
+      const referenceKey = conn.isChain ? `${conn.target}->${conn.source}` : `${conn.source}->${conn.target}`;
+      const isCycle = conn.type === 'reference' && Boolean(cycleEdgeKeys) && cycleEdgeKeys.has(referenceKey);
+      const isImpactLink = showImpact && conn.type === 'reference' && impactTree.edgeKeys.has(referenceKey);
+      const isConnectedToSelected = !showImpact && !focusMode && hasSelection &&
+        (selectedTokens.includes(conn.source) || selectedTokens.includes(conn.target));
+
+      if (isChainConnection || isImpactLink || isConnectedToSelected || (isCycle && !focusMode)) {
+        highlighted.push({ conn, idx, opacity: 1, isCycle });
+      } else if (!focusMode) {
+        // In focus mode, don't show non-chain connections
+        // For reference links, use higher opacity to make them more visible
+        // Fade to 15% only when a token is selected, otherwise normal opacity (higher for references)
+        const isReference = conn.type === 'reference';
+        normal.push({ conn, idx, opacity: hasSelection ? 0.15 : (isReference ? 0.6 : 0.4) });
+      }
+    });
+    return { normal, highlighted };
+  };
+
+  // Where a node is drawn and how faded it is: focus mode moves chain nodes to their linear
+  // positions and fades the rest, interactive highlighting fades nodes unrelated to the selection
+  const getNodeDisplay = (node) => {
+    const isInChain = Boolean(focusMode) && focusMode.chain.includes(node.id);
+    const isSelectedToken = Boolean(focusMode) && focusMode.selectedTokenId === node.id;
+    const linearPos = focusMode?.linearPositions?.find(p => p.id === node.id);
+
+    let opacity = 1;
+    if (focusMode && !isInChain) {
+      opacity = 0.15;
+    } else if (impactTree && !focusMode) {
+      // The impact tree replaces the selection highlight: the analyzed token and its dependents
+      if (node.id !== impactTree.tokenId && !impactTree.dependentIds.has(node.id)) {
+        opacity = 0.15;
+      }
+    } else if (interactiveHighlighting && selectedTokens.length > 0 && !focusMode) {
+      // If interactive highlighting is enabled and tokens are selected, fade nodes that aren't selected or connected
+      const isSelected = selectedTokens.includes(node.id);
+      const isConnected = connectedToSelectedNodes.has(node.id);
+      if (!isSelected && !isConnected) {
+        opacity = 0.15;
+      }
+    }
+
+    return {
+      x: focusMode && linearPos ? linearPos.focusX : node.x,
+      y: focusMode && linearPos ? linearPos.focusY : node.y,
+      opacity,
+      isInChain,
+      isSelectedToken
+    };
+  };
+
   useImperativeHandle(ref, () => ({
     isInFocusMode: () => !!focusMode,
-    getPositionedNodes: () => positionedNodesRef.current
-  }), [focusMode]);
+    getPositionedNodes: () => positionedNodesRef.current,
+    // Tokens shown in focus mode: the selected token's reference chain and the tokens that consume it
+    getFocusChain: () => (focusMode ? {
+      selectedTokenId: focusMode.selectedTokenId,
+      chain: focusMode.chain,
+      consumingTokens: focusMode.consumingTokens || []
+    } : null),
+    // What the canvas currently shows, for image export (see utils/imageExporter)
+    getExportScene: () => {
+      const rect = containerRef.current?.getBoundingClientRect();
+      const { normal, highlighted } = getConnectionLayers();
+      const nodes = (positionedNodes || []).filter(node => !node.isHidden).map(node => {
+        const display = getNodeDisplay(node);
+        return {
+          ...node,
+          x: display.x,
+          y: display.y,
+          opacity: display.opacity,
+          isSelected: display.isSelectedToken || (!focusMode && selectedTokens.includes(node.id))
+        };
+      });
+      return {
+        nodes,
+        connections: [
+          ...normal.map(({ conn, opacity }) => ({ ...conn, opacity, isHighlighted: false })),
+          ...highlighted.map(({ conn, opacity, isCycle }) => ({ ...conn, opacity, isHighlighted: true, isCycle }))
+        ],
+        view: { panX, panY, zoom, width: rect ? rect.width : 0, height: rect ? rect.height : 0 },
+        focusTokenId: focusMode ? focusMode.selectedTokenId : null
+      };
+    }
+  }), [focusMode, positionedNodes, connections, selectedTokens, interactiveHighlighting, connectedToSelectedNodes, cycleEdgeKeys, impactTree, panX, panY, zoom]);
 
   // Determine container class based on state
   const containerClass = [
@@ -3466,9 +3582,18 @@ const TokenGraph = forwardRef(function TokenGraph({
       onMouseUp={handleMouseUp}
       onMouseLeave={handleMouseUp}
       onWheel={handleWheel}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
     >
       {/* Focus mode overlay */}
       {focusMode && <div className="focus-mode-overlay" />}
+      {/* Drop overlay shown while files are dragged over the canvas */}
+      {isFileDragOver && (
+        <div className="drop-overlay">
+          <div className="drop-overlay-message">Drop token files to import</div>
+        </div>
+      )}
       <div
         className="graph-content"
         style={{
@@ -3480,57 +3605,27 @@ const TokenGraph = forwardRef(function TokenGraph({
         {!isDraggingNodeRef.current && (
           <svg className="connections-layer" width="50000" height="50000" viewBox="0 0 50000 50000">
             {(() => {
-              // Separate connections into highlighted (connected to selected) and non-highlighted
-              const highlightedConnections = [];
-              const normalConnections = [];
-              
-              connections.forEach((conn, idx) => {
-                // In focus mode, show all chain connections (they're all highlighted)
-                // Outside focus mode, highlight connections to selected tokens
-                const isChainConnection = focusMode && conn.isChain === true;
-                const isConnectedToSelected = !focusMode && selectedTokens.length > 0 && 
-                  (selectedTokens.includes(conn.source) || selectedTokens.includes(conn.target));
-                
-                if (isChainConnection || isConnectedToSelected) {
-                  highlightedConnections.push({ conn, idx, isChainConnection });
-                } else {
-                  // In focus mode, don't show non-chain connections
-                  if (!focusMode) {
-                    normalConnections.push({ conn, idx, isChainConnection });
-                  }
-                }
-              });
-              
               // Render normal connections first (faded when token is selected), then highlighted ones on top
-              const hasSelection = selectedTokens.length > 0;
+              const { normal, highlighted } = getConnectionLayers();
               return (
                 <>
-                  {normalConnections.map(({ conn, idx, isChainConnection }) => {
-                    // For reference links, use higher opacity to make them more visible
-                    const isReference = conn.type === 'reference';
-                    // Fade to 15% only when a token is selected, otherwise normal opacity (higher for references)
-                    const opacity = focusMode && !isChainConnection ? 0.1 : (hasSelection ? 0.15 : (isReference ? 0.6 : 0.4));
-                    return (
-                      <TokenConnection
-                        key={`normal-${conn.source}-${conn.target}-${idx}`}
-                        connection={conn}
-                        isHighlighted={false}
-                        style={{ opacity }}
-                      />
-                    );
-                  })}
-                  {highlightedConnections.map(({ conn, idx, isChainConnection }) => {
-                    const opacity = focusMode && !isChainConnection ? 0.1 : (isChainConnection ? 1 : 1);
-                    return (
-                      <TokenConnection
-                        key={`highlighted-${conn.source}-${conn.target}-${idx}`}
-                        connection={conn}
-                        isHighlighted={true}
-                        strokeColor="var(--purple-3)"
-                        style={{ opacity }}
-                      />
-                    );
-                  })}
+                  {normal.map(({ conn, idx, opacity }) => (
+                    <TokenConnection
+                      key={`normal-${conn.source}-${conn.target}-${idx}`}
+                      connection={conn}
+                      isHighlighted={false}
+                      style={{ opacity }}
+                    />
+                  ))}
+                  {highlighted.map(({ conn, idx, opacity, isCycle }) => (
+                    <TokenConnection
+                      key={`highlighted-${conn.source}-${conn.target}-${idx}`}
+                      connection={conn}
+                      isHighlighted={true}
+                      strokeColor={isCycle ? 'var(--red-4)' : 'var(--purple-3)'}
+                      style={{ opacity }}
+                    />
+                  ))}
                 </>
               );
             })()}
@@ -3683,10 +3778,10 @@ const TokenGraph = forwardRef(function TokenGraph({
         {/* Render nodes */}
         {positionedNodes && positionedNodes.length > 0 && positionedNodes.filter(node => !node.isHidden).map((node, index) => {
           // In focus mode, use linear positions for chain nodes, fade others
-          const isInChain = focusMode && focusMode.chain.includes(node.id);
-          const linearPos = focusMode?.linearPositions?.find(p => p.id === node.id);
-          const displayX = focusMode && linearPos ? linearPos.focusX : node.x;
-          const displayY = focusMode && linearPos ? linearPos.focusY : node.y;
+          const display = getNodeDisplay(node);
+          const { isInChain, isSelectedToken } = display;
+          const displayX = display.x;
+          const displayY = display.y;
           
           // Check if this node is being dragged
           const key = node.isLayerGroup ? `layer-${node.id}` :
@@ -3697,22 +3792,7 @@ const TokenGraph = forwardRef(function TokenGraph({
           // In focus mode, fade non-chain nodes. During drag, hide dragged nodes (container shows instead)
           // Chain nodes should be on top (higher z-index) and fully visible
           // Selected token should be on top of everything
-          const isSelectedToken = focusMode && focusMode.selectedTokenId === node.id;
-          
-          // Calculate opacity based on focus mode, drag state, and interactive highlighting
-          let opacity = 1;
-          if (isBeingDragged) {
-            opacity = 0;
-          } else if (focusMode && !isInChain) {
-            opacity = 0.15;
-          } else if (interactiveHighlighting && selectedTokens.length > 0 && !focusMode) {
-            // If interactive highlighting is enabled and tokens are selected, fade nodes that aren't selected or connected
-            const isSelected = selectedTokens.includes(node.id);
-            const isConnected = connectedToSelectedNodes.has(node.id);
-            if (!isSelected && !isConnected) {
-              opacity = 0.15;
-            }
-          }
+          const opacity = isBeingDragged ? 0 : display.opacity;
           
           const zIndex = isSelectedToken ? 300 : (focusMode && isInChain ? 200 : (isBeingDragged ? 1000 : 1));
           
@@ -3763,6 +3843,9 @@ const TokenGraph = forwardRef(function TokenGraph({
               isSelected={isSelectedToken || (!focusMode && selectedTokens.includes(node.id))}
               isHovered={hoverNodeId === node.id}
               graphLinks={graph.links || []}
+              problemCount={problemCounts ? problemCounts.get(node.id) || 0 : 0}
+              lintBadge={lintBadges ? lintBadges.get(node.id) || null : null}
+              contrastFailures={contrastFailures ? contrastFailures.get(node.id) || 0 : 0}
               onSelect={() => {
                 // Only select if we didn't drag
                 if (!hasDraggedRef.current) {
@@ -1,6 +1,9 @@
 import React, { useState } from 'react';
 import './Toolbar.css';
 import ImportModal from './ImportModal';
+import ExportModal from './ExportModal';
+import ImageExportModal from './ImageExportModal';
+import DiagramExportModal from './DiagramExportModal';
 import * as DropdownMenu from '@radix-ui/react-dropdown-menu';
 import {
   ZoomOutIcon,
@@ -10,6 +13,8 @@ import {
   CheckIcon,
   HamburgerMenuIcon,
   UploadIcon,
+  DownloadIcon,
+  ExclamationTriangleIcon,
   ChevronRightIcon,
   ChevronLeftIcon
 } from '@radix-ui/react-icons';
@@ -24,9 +29,26 @@ function Toolbar({
   onTokenRemove,
   onClearSelection,
   onImportJSON,
+  onImportCSS,
   onImportTSX,
+  onImportFiles,
+  onImportModeMatrix,
+  onExport,
+  hasSearch,
+  modes = [],
+  selectedMode,
+  diagnosticsCount,
+  onShowDiagnostics,
+  problemsCount,
+  onShowProblems,
+  onShowLint,
+  onShowContrast,
+  onShowUnused,
+  onShowDuplicates,
+  onShowModeCoverage,
   currentFileName,
-  onReturnToTeardrop,
+  onReturnToDataset,
+  datasetName = 'Teardrop',
   showMinimap,
   onMinimapChange,
   interactiveHighlighting,
@@ -35,6 +57,9 @@ function Toolbar({
   onSidebarToggle
 }) {
   const [showImportModal, setShowImportModal] = useState(false);
+  const [exportDialog, setExportDialog] = useState(null); // { format, title } for exporters with mode/value options
+  const [showImageExport, setShowImageExport] = useState(false);
+  const [showDiagramExport, setShowDiagramExport] = useState(false);
   const zoomPercent = Math.round(zoom * 100);
 
   const handleImportClick = () => {
@@ -73,7 +98,32 @@ function Toolbar({
         isOpen={showImportModal}
         onClose={() => setShowImportModal(false)}
         onImportJSON={onImportJSON}
+        onImportCSS={onImportCSS}
         onImportTSX={onImportTSX}
+        onImportFiles={onImportFiles}
+        onImportModeMatrix={onImportModeMatrix}
+      />
+
+      <ExportModal
+        isOpen={Boolean(exportDialog)}
+        title={exportDialog ? exportDialog.title : ''}
+        selectedMode={selectedMode}
+        modes={modes}
+        onExport={(options) => onExport && onExport(exportDialog.format, options)}
+        onClose={() => setExportDialog(null)}
+      />
+
+      <ImageExportModal
+        isOpen={showImageExport}
+        onExport={(options) => onExport && onExport('image', options)}
+        onClose={() => setShowImageExport(false)}
+      />
+
+      <DiagramExportModal
+        isOpen={showDiagramExport}
+        hasSearch={hasSearch}
+        onExport={(options) => onExport && onExport('diagram', options)}
+        onClose={() => setShowDiagramExport(false)}
       />
       
       <div className={`toolbar ${sidebarCollapsed ? 'sidebar-collapsed' : ''} ${selectedTokens.length > 0 ? 'has-tokens' : ''}`}>
@@ -196,6 +246,143 @@ function Toolbar({
                   <UploadIcon />
                   Upload tokens
                 </DropdownMenu.Item>
+                <DropdownMenu.Item 
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onShowDiagnostics && onShowDiagnostics()}
+                >
+                  <ExclamationTriangleIcon />
+                  Import diagnostics{diagnosticsCount > 0 ? ` (${diagnosticsCount})` : ''}
+                </DropdownMenu.Item>
+                <DropdownMenu.Item 
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onShowProblems && onShowProblems()}
+                >
+                  <ExclamationTriangleIcon />
+                  Problems{problemsCount > 0 ? ` (${problemsCount})` : ''}
+                </DropdownMenu.Item>
+                <DropdownMenu.Item 
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onShowLint && onShowLint()}
+                >
+                  <ExclamationTriangleIcon />
+                  Lint rules
+                </DropdownMenu.Item>
+                <DropdownMenu.Item 
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onShowContrast && onShowContrast()}
+                >
+                  <ExclamationTriangleIcon />
+                  Contrast audit
+                </DropdownMenu.Item>
+                <DropdownMenu.Item 
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onShowUnused && onShowUnused()}
+                >
+                  <ExclamationTriangleIcon />
+                  Unused tokens
+                </DropdownMenu.Item>
+                <DropdownMenu.Item 
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onShowDuplicates && onShowDuplicates()}
+                >
+                  <ExclamationTriangleIcon />
+                  Duplicate values
+                </DropdownMenu.Item>
+                <DropdownMenu.Item 
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onShowModeCoverage && onShowModeCoverage()}
+                >
+                  <ExclamationTriangleIcon />
+                  Mode coverage
+                </DropdownMenu.Item>
+              </DropdownMenu.Content>
+            </DropdownMenu.Portal>
+          </DropdownMenu.Root>
+        </div>
+
+        {/* Export menu: converts the loaded graph to other token formats, or the canvas to an image */}
+        <div className="toolbar-group">
+          <DropdownMenu.Root>
+            <DropdownMenu.Trigger asChild>
+              <button
+                className="toolbar-btn"
+                title="Export"
+                aria-label="Export"
+              >
+                <DownloadIcon />
+              </button>
+            </DropdownMenu.Trigger>
+            <DropdownMenu.Portal>
+              <DropdownMenu.Content className="toolbar-dropdown-content" sideOffset={5}>
+                <DropdownMenu.Label className="toolbar-dropdown-label">Export</DropdownMenu.Label>
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onExport && onExport('dtcg')}
+                >
+                  DTCG JSON
+                </DropdownMenu.Item>
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onExport && onExport('css')}
+                >
+                  CSS variables (var() references)
+                </DropdownMenu.Item>
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onExport && onExport('css-resolved')}
+                >
+                  CSS variables (resolved values)
+                </DropdownMenu.Item>
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onExport && onExport('csv')}
+                >
+                  Mode matrix (CSV)
+                </DropdownMenu.Item>
+                <DropdownMenu.Separator className="toolbar-dropdown-separator" />
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => setExportDialog({ format: 'scss', title: 'Export SCSS' })}
+                >
+                  SCSS map…
+                </DropdownMenu.Item>
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => setExportDialog({ format: 'less', title: 'Export Less' })}
+                >
+                  Less variables…
+                </DropdownMenu.Item>
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => setExportDialog({ format: 'ts', title: 'Export TypeScript' })}
+                >
+                  TypeScript module…
+                </DropdownMenu.Item>
+                <DropdownMenu.Separator className="toolbar-dropdown-separator" />
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onExport && onExport('docs-markdown')}
+                >
+                  Docs (Markdown)
+                </DropdownMenu.Item>
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => onExport && onExport('docs-html')}
+                >
+                  Docs (HTML page)
+                </DropdownMenu.Item>
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => setShowImageExport(true)}
+                >
+                  Image (SVG or PNG)…
+                </DropdownMenu.Item>
+                <DropdownMenu.Item
+                  className="toolbar-dropdown-item"
+                  onSelect={() => setShowDiagramExport(true)}
+                >
+                  Diagram (DOT or Mermaid)…
+                </DropdownMenu.Item>
               </DropdownMenu.Content>
             </DropdownMenu.Portal>
           </DropdownMenu.Root>
@@ -216,10 +403,10 @@ function Toolbar({
               </div>
               <button
                 className="toolbar-btn toolbar-return-btn"
-                onClick={onReturnToTeardrop}
-                title="Return to Teardrop tokens"
+                onClick={onReturnToDataset}
+                title={`Return to ${datasetName} tokens`}
               >
-                ← Teardrop
+                ← {datasetName}
               </button>
               <div className="toolbar-divider" />
             </>
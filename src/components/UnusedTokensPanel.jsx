@@ -0,0 +1,86 @@
+import React, { useMemo, useState } from 'react';
+import ReportPanel from './ReportPanel';
+import { UNUSED_TOKEN_KINDS } from '../utils/unusedTokens';
+
+const KIND_NAMES = Object.fromEntries(UNUSED_TOKEN_KINDS.map(kind => [kind.id, kind.name]));
+
+// Unused primitives, semantic tokens no component uses and tokens used in only some modes,
+// with the canvas's "show only unused" filter
+function UnusedTokensPanel({ findings, unusedOnly, onUnusedOnlyChange, onSelectToken, onClose }) {
+  const [kindFilter, setKindFilter] = useState('all');
+
+  const countsByKind = useMemo(() => {
+    const counts = {};
+    findings.forEach(finding => {
+      counts[finding.kind] = (counts[finding.kind] || 0) + 1;
+    });
+    return counts;
+  }, [findings]);
+
+  const visibleFindings = kindFilter === 'all' ? findings : findings.filter(finding => finding.kind === kindFilter);
+
+  const describeFinding = (finding) => {
+    if (finding.kind === 'unused-primitive') return 'No token references this primitive';
+    if (finding.kind === 'unconsumed') {
+      return finding.referencedBy.length === 0
+        ? 'No token references this token'
+        : `Referenced by ${finding.referencedBy.join(', ')}, but no component token reaches it`;
+    }
+    return `Only referenced in ${finding.usedModes.join(', ')}; unused in ${finding.unusedModes.join(', ')}`;
+  };
+
+  return (
+    <ReportPanel
+      title="Unused tokens"
+      count={findings.length}
+      onClose={onClose}
+      actions={
+        <button
+          className="report-panel-action"
+          onClick={() => onUnusedOnlyChange(!unusedOnly)}
+          title="Show only unused primitives and tokens no component uses on the canvas"
+        >
+          {unusedOnly ? 'Show all tokens' : 'Show only unused'}
+        </button>
+      }
+    >
+      <div className="report-panel-filters">
+        {['all', ...UNUSED_TOKEN_KINDS.map(kind => kind.id)].map(kind => (
+          <button
+            key={kind}
+            className={`report-panel-filter ${kindFilter === kind ? 'active' : ''}`}
+            onClick={() => setKindFilter(kind)}
+          >
+            {kind === 'all' ? `All (${findings.length})` : `${KIND_NAMES[kind]} (${countsByKind[kind] || 0})`}
+          </button>
+        ))}
+      </div>
+
+      {visibleFindings.length === 0 ? (
+        <p className="report-panel-empty">Every token is used</p>
+      ) : (
+        <ul className="report-panel-list">
+          {visibleFindings.map(finding => (
+            <li
+              key={`${finding.kind}-${finding.tokenId}`}
+              className="report-panel-item clickable"
+              onClick={() => onSelectToken(finding.tokenId)}
+              title={`Show ${finding.tokenId} on the canvas`}
+            >
+              <div className="report-panel-item-meta">
+                <span className={`report-panel-severity ${finding.kind === 'partial-modes' ? 'info' : 'warning'}`}>
+                  {KIND_NAMES[finding.kind]}
+                </span>
+                <code>{finding.tokenId}</code>
+                <span>· {finding.layer}</span>
+              </div>
+              <span>{describeFinding(finding)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </ReportPanel>
+  );
+}
+
+export default UnusedTokensPanel;
@@ -0,0 +1,104 @@
+/**
+ * Alias resolution: match the names token files use in references to token ids
+ * Files mix naming styles ("primary.130", "bg-surface-raised", "green_new.70", "NEUTRAL_69"),
+ * so a reference is tried against each rule in order and the first rule that matches a token wins.
+ * A rule is { name, normalize(name) }; it's applied to both the reference and every token id
+ * (and originalName), so ids that contain hyphens still match hyphenated references
+ */
+
+export const ALIAS_RULES = {
+  dot: { name: 'dot', normalize: name => name },
+  hyphen: { name: 'hyphen', normalize: name => name.replace(/-/g, '.') },
+  underscore: { name: 'underscore', normalize: name => name.replace(/_/g, '.') },
+  caseInsensitive: { name: 'case-insensitive', normalize: name => name.toLowerCase().replace(/[-_]/g, '.') }
+};
+
+export const DEFAULT_ALIAS_RULES = [
+  ALIAS_RULES.dot,
+  ALIAS_RULES.hyphen,
+  ALIAS_RULES.underscore,
+  ALIAS_RULES.caseInsensitive
+];
+
+// Style Dictionary references sometimes carry a "color." prefix the token ids don't have
+export const DEFAULT_ALIAS_PREFIXES = ['color.'];
+
+/**
+ * Create a resolver for a set of tokens (token ids or nodes with { id, originalName })
+ * Options: { rules } - rules to try, in order; { prefixes } - prefixes stripped from a reference
+ * when no rule matches it as written
+ * resolve(name) returns { reference, tokenId, rule, prefix, candidates } or null;
+ * more than one candidate means the rule matched several tokens and the first was used
+ */
+export function createAliasResolver(tokens, options = {}) {
+  const { rules = DEFAULT_ALIAS_RULES, prefixes = DEFAULT_ALIAS_PREFIXES } = options;
+
+  const entries = [];
+  Array.from(tokens || []).forEach(token => {
+    if (typeof token === 'string') {
+      entries.push({ id: token, names: [token] });
+    } else if (token && token.id) {
+      entries.push({ id: token.id, names: token.originalName ? [token.id, token.originalName] : [token.id] });
+    }
+  });
+
+  // Normalized name -> token ids, built per rule the first time the rule is needed
+  const indexes = new Map();
+  const getIndex = (rule) => {
+    if (!indexes.has(rule.name)) {
+      const index = new Map();
+      entries.forEach(({ id, names }) => {
+        names.forEach(name => {
+          const key = rule.normalize(name);
+          if (!index.has(key)) index.set(key, []);
+          if (!index.get(key).includes(id)) index.get(key).push(id);
+        });
+      });
+      indexes.set(rule.name, index);
+    }
+    return indexes.get(rule.name);
+  };
+
+  const matchRules = (name) => {
+    for (const rule of rules) {
+      const candidates = getIndex(rule).get(rule.normalize(name));
+      if (candidates && candidates.length > 0) {
+        return { tokenId: candidates[0], rule: rule.name, candidates };
+      }
+    }
+    return null;
+  };
+
+  const cache = new Map();
+  const resolve = (name) => {
+    if (typeof name !== 'string' || name === '') return null;
+    if (cache.has(name)) return cache.get(name);
+
+    let resolution = null;
+    const match = matchRules(name);
+    if (match) {
+      resolution = { reference: name, ...match, prefix: null };
+    } else {
+      const prefix = prefixes.find(p => name.startsWith(p) && name.length > p.length);
+      const prefixMatch = prefix ? matchRules(name.slice(prefix.length)) : null;
+      if (prefixMatch) {
+        resolution = { reference: name, ...prefixMatch, prefix };
+      }
+    }
+
+    cache.set(name, resolution);
+    return resolution;
+  };
+
+  return {
+    resolve,
+    resolveId: (name) => {
+      const resolution = resolve(name);
+      return resolution ? resolution.tokenId : null;
+    },
+    // Resolutions worth reviewing: references that didn't match a token id exactly, or matched several tokens
+    getReport: () => Array.from(cache.values()).filter(resolution => {
+      return resolution && (resolution.rule !== ALIAS_RULES.dot.name || resolution.prefix || resolution.candidates.length > 1);
+    })
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Broken references: mode values that point at tokens the graph doesn't have
+ * The parsers drop the link for such a value and the canvas shows it as raw text, so this lists
+ * them per token and mode, with the closest existing token ids (by edit distance) as suggestions
+ */
+
+import { createAliasResolver, DEFAULT_ALIAS_PREFIXES } from './aliasResolver';
+import { collectAliases } from './dtcgParser';
+import { getReferenceId, getReferencePath, looksLikeReference } from './references';
+import { isTokenNode } from './tokenValues';
+
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Levenshtein distance between two strings, or Infinity once it's known to exceed maxDistance
+ */
+export function getEditDistance(a, b, maxDistance = Infinity) {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    // Every path through this row already costs more than allowed
+    if (rowMin > maxDistance) return Infinity;
+    previous = current;
+  }
+  return previous[b.length] <= maxDistance ? previous[b.length] : Infinity;
+}
+
+// Compare names the way the case-insensitive alias rule does, so separators don't count as edits
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[-_/]/g, '.');
+}
+
+/**
+ * Suggest the token ids closest to a reference that doesn't resolve
+ * The reference is also compared without the prefixes the alias resolver strips ("color.").
+ * A suggestion is within a third of the reference's length (at least 2 edits); returns
+ * up to three [{ tokenId, distance }], closest first
+ */
+export function suggestTokenIds(reference, tokenIds) {
+  const normalized = normalizeName(reference);
+  const targets = [normalized, ...DEFAULT_ALIAS_PREFIXES
+    .filter(prefix => normalized.startsWith(prefix))
+    .map(prefix => normalized.slice(prefix.length))];
+  const suggestions = [];
+  tokenIds.forEach(tokenId => {
+    const candidate = normalizeName(tokenId);
+    const distance = Math.min(...targets.map(target =>
+      getEditDistance(target, candidate, Math.max(2, Math.floor(target.length / 3)))
+    ));
+    if (distance !== Infinity) suggestions.push({ tokenId, distance });
+  });
+  return suggestions
+    .sort((a, b) => a.distance - b.distance || a.tokenId.localeCompare(b.tokenId))
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Find every reference in a graph that doesn't resolve to a token
+ * Whole-value references and aliases inside expressions ("{space.sm} * 2") both count.
+ * Returns [{ tokenId, layer, problems }], where each problem is { reference, value, modes, suggestions }
+ * and modes lists the modes with that broken reference ([null] for tokens without modes)
+ */
+export function findBrokenReferences(graph) {
+  const nodes = (graph.nodes || []).filter(isTokenNode);
+  const tokenIds = nodes.map(node => node.id);
+  const resolver = createAliasResolver(nodes);
+  const suggestionCache = new Map();
+  const getSuggestions = (reference) => {
+    if (!suggestionCache.has(reference)) suggestionCache.set(reference, suggestTokenIds(reference, tokenIds));
+    return suggestionCache.get(reference);
+  };
+
+  const report = [];
+  nodes.forEach(node => {
+    const entries = node.modes && Object.keys(node.modes).length > 0
+      ? Object.entries(node.modes)
+      : [[null, node.value]];
+    const problems = new Map(); // reference -> problem
+
+    entries.forEach(([mode, value]) => {
+      if (value === null || value === undefined || value === '') return;
+      if (getReferenceId(value, resolver)) return;
+      const references = looksLikeReference(value)
+        ? [getReferencePath(value)]
+        : collectAliases(value).filter(alias => !getReferenceId(alias, resolver));
+      references.forEach(reference => {
+        if (!problems.has(reference)) {
+          problems.set(reference, {
+            reference,
+            value: typeof value === 'string' ? value : JSON.stringify(value),
+            modes: [],
+            suggestions: getSuggestions(reference)
+          });
+        }
+        problems.get(reference).modes.push(mode);
+      });
+    });
+
+    if (problems.size > 0) {
+      report.push({ tokenId: node.id, layer: node.layer, problems: Array.from(problems.values()) });
+    }
+  });
+
+  return report;
+}
@@ -0,0 +1,221 @@
+/**
+ * Export a graph as SCSS, Less or a TypeScript module
+ * Every token becomes a variable (SCSS/Less) or const (TypeScript), written after the tokens it
+ * references so the output compiles in order. References are kept as variable references, or with
+ * resolve: true replaced by the literal value at the end of the reference chain.
+ * With a single mode, each token has one variable holding its value in that mode. With several modes,
+ * tokens that have per-mode values get one variable per mode ("$text-accent--dark") and tokens
+ * without them (usually primitives) are written once
+ */
+
+import { createValueResolver } from './tokenValues';
+import { tokenIdToCSSVariable } from './cssExporter';
+
+// Composite (JSON) values have no SCSS/Less form
+function isCompositeValue(value) {
+  return typeof value === 'string' && /^[[{]/.test(value.trim());
+}
+
+function toModeSlug(mode) {
+  return mode.replace(/[^\w-]+/g, '-');
+}
+
+/**
+ * Collect the variables to write for a graph, in dependency order
+ * Options: { modes } - modes to export (default graph.availableModes), { resolve } - write literal values
+ * Returns { modes, hasModes, variables, skipped, getVariableMode(tokenId, mode) }
+ * Each variable is { tokenId, mode, value, reference }, where reference is the { tokenId, mode } of
+ * the variable it points at (null for literals) and mode is null for a token written once for all modes.
+ * getVariableMode gives the mode of the variable holding a token's value in a mode, or undefined if the
+ * token was skipped
+ */
+function collectVariables(graph, options) {
+  const { resolve = false } = options;
+  const exportModes = options.modes || graph.availableModes || [];
+  const modes = exportModes.length > 0 ? exportModes : [null];
+  const { nodes, nodeMap, getReference, resolve: resolveValue } = createValueResolver(graph);
+  const hasModes = modes.length > 1;
+  const skipped = [];
+
+  // A token is written once when neither it nor anything it references varies by mode
+  const modeIndependent = new Map();
+  const isModeIndependent = (tokenId, visiting = new Set()) => {
+    if (!hasModes) return true;
+    if (modeIndependent.has(tokenId)) return modeIndependent.get(tokenId);
+    if (visiting.has(tokenId)) return false;
+    visiting.add(tokenId);
+    const node = nodeMap.get(tokenId);
+    const targetId = node && !node.modes ? getReference(tokenId, null) : null;
+    const independent = Boolean(node) && !node.modes && (!targetId || isModeIndependent(targetId, visiting));
+    modeIndependent.set(tokenId, independent);
+    return independent;
+  };
+
+  const variables = [];
+  const written = new Set();
+  const skippedKeys = new Set();
+  const keyOf = (tokenId, mode) => `${tokenId}@${mode}`;
+  const getVariableMode = (tokenId, mode) => {
+    const variableMode = hasModes && !isModeIndependent(tokenId) ? mode : null;
+    return written.has(keyOf(tokenId, variableMode)) ? variableMode : undefined;
+  };
+
+  // Depth-first so a variable's reference is written before it
+  const visit = (tokenId, mode, visiting = new Set()) => {
+    const variableMode = isModeIndependent(tokenId) ? null : mode;
+    const key = keyOf(tokenId, variableMode);
+    if (written.has(key)) return true;
+    if (skippedKeys.has(key) || visiting.has(key)) return false;
+    visiting.add(key);
+
+    const resolved = resolveValue(tokenId, mode);
+    if (resolved.circular || resolved.unresolved || resolved.value === null || resolved.value === undefined ||
+        resolved.value === '' || isCompositeValue(resolved.value)) {
+      skippedKeys.add(key);
+      skipped.push({
+        tokenId,
+        mode: variableMode,
+        reason: resolved.circular ? 'circular reference' : resolved.unresolved ? 'unresolved reference' : 'no value'
+      });
+      return false;
+    }
+
+    let reference = null;
+    const targetId = resolve ? null : getReference(tokenId, mode);
+    if (targetId && visit(targetId, mode, visiting)) {
+      reference = { tokenId: targetId, mode: isModeIndependent(targetId) ? null : mode };
+    }
+
+    written.add(key);
+    variables.push({ tokenId, mode: variableMode, value: String(resolved.value), reference });
+    return true;
+  };
+
+  modes.forEach(mode => {
+    nodes.forEach(node => visit(node.id, mode));
+  });
+
+  return { modes, hasModes, variables, skipped, getVariableMode };
+}
+
+function getHeader(commentPrefix, format, options) {
+  const { sourceName, resolve, modes } = options;
+  const modeLabel = modes && modes.length === 1 ? `mode: ${modes[0]}` : 'all modes';
+  return [
+    `${commentPrefix} Design tokens${sourceName ? ` from ${sourceName}` : ''} (${format}, ${modeLabel}, ${resolve ? 'resolved values' : 'references'})`,
+    `${commentPrefix} Generated by the token visualizer - do not edit by hand`
+  ].join('\n');
+}
+
+// Variable name for SCSS ("$") and Less ("@"): "$text-accent", "$text-accent--dark"
+function getStyleVariableName(sigil, tokenId, mode) {
+  const base = tokenIdToCSSVariable(tokenId).slice(2);
+  return `${sigil}${base}${mode ? `--${toModeSlug(mode)}` : ''}`;
+}
+
+function writeStyleVariables(sigil, collected) {
+  return collected.variables.map(({ tokenId, mode, value, reference }) => {
+    const variableValue = reference ? getStyleVariableName(sigil, reference.tokenId, reference.mode) : value;
+    return `${getStyleVariableName(sigil, tokenId, mode)}: ${variableValue};`;
+  });
+}
+
+/**
+ * Export a graph as SCSS variables plus a $tokens map
+ * (keyed by token name, or by mode and then token name when several modes are exported)
+ * Options: { modes, resolve, sourceName }; returns { code, skipped }
+ */
+export function exportGraphToSCSS(graph, options = {}) {
+  const collected = collectVariables(graph, options);
+  const lines = [getHeader('//', 'SCSS', options), '', ...writeStyleVariables('$', collected), ''];
+
+  const tokenIds = Array.from(new Set(collected.variables.map(variable => variable.tokenId)));
+  const mapEntries = (mode) => tokenIds
+    .filter(tokenId => collected.getVariableMode(tokenId, mode) !== undefined)
+    .map(tokenId => {
+      const variableName = getStyleVariableName('$', tokenId, collected.getVariableMode(tokenId, mode));
+      return `'${tokenIdToCSSVariable(tokenId).slice(2)}': ${variableName}`;
+    });
+
+  if (collected.hasModes) {
+    const modeMaps = collected.modes.map(mode => {
+      return `  '${mode}': (\n${mapEntries(mode).map(entry => `    ${entry}`).join(',\n')}\n  )`;
+    });
+    lines.push(`$tokens: (\n${modeMaps.join(',\n')}\n);`);
+  } else {
+    lines.push(`$tokens: (\n${mapEntries(collected.modes[0]).map(entry => `  ${entry}`).join(',\n')}\n);`);
+  }
+
+  return { code: `${lines.join('\n')}\n`, skipped: collected.skipped };
+}
+
+/**
+ * Export a graph as Less variables
+ * Options: { modes, resolve, sourceName }; returns { code, skipped }
+ */
+export function exportGraphToLess(graph, options = {}) {
+  const collected = collectVariables(graph, options);
+  const lines = [getHeader('//', 'Less', options), '', ...writeStyleVariables('@', collected)];
+  return { code: `${lines.join('\n')}\n`, skipped: collected.skipped };
+}
+
+// "text.accent" -> "textAccent", "blue.1" -> "blue1"; identifiers can't start with a digit
+function toIdentifier(name) {
+  const words = name.split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const identifier = words
+    .map((word, index) => (index === 0 ? word.charAt(0).toLowerCase() : word.charAt(0).toUpperCase()) + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier || '_';
+}
+
+/**
+ * Export a graph as a TypeScript module: one const per token, a `tokens` object `as const`
+ * (keyed by token id, or by mode and then token id when several modes are exported),
+ * and a TokenName union of every token id (plus ModeName with several modes)
+ * Options: { modes, resolve, sourceName }; returns { code, skipped }
+ */
+export function exportGraphToTS(graph, options = {}) {
+  const collected = collectVariables(graph, options);
+
+  const identifiers = new Map();
+  const usedIdentifiers = new Set();
+  const getIdentifier = (tokenId, mode) => {
+    const key = `${tokenId}@${mode}`;
+    if (!identifiers.has(key)) {
+      const base = toIdentifier(mode ? `${tokenId}.${mode}` : tokenId);
+      let identifier = base;
+      for (let i = 2; usedIdentifiers.has(identifier); i++) {
+        identifier = `${base}${i}`;
+      }
+      usedIdentifiers.add(identifier);
+      identifiers.set(key, identifier);
+    }
+    return identifiers.get(key);
+  };
+
+  const lines = [getHeader('//', 'TypeScript', options), ''];
+  collected.variables.forEach(({ tokenId, mode, value, reference }) => {
+    const constValue = reference ? getIdentifier(reference.tokenId, reference.mode) : JSON.stringify(value);
+    lines.push(`const ${getIdentifier(tokenId, mode)} = ${constValue};`);
+  });
+  lines.push('');
+
+  const tokenIds = Array.from(new Set(collected.variables.map(variable => variable.tokenId)));
+  const objectEntries = (mode, indent) => tokenIds
+    .filter(tokenId => collected.getVariableMode(tokenId, mode) !== undefined)
+    .map(tokenId => `${indent}${JSON.stringify(tokenId)}: ${getIdentifier(tokenId, collected.getVariableMode(tokenId, mode))}`)
+    .join(',\n');
+
+  if (collected.hasModes) {
+    const modeObjects = collected.modes.map(mode => `  ${JSON.stringify(mode)}: {\n${objectEntries(mode, '    ')}\n  }`);
+    lines.push(`export const tokens = {\n${modeObjects.join(',\n')}\n} as const;`);
+    lines.push('');
+    lines.push(`export type ModeName = ${collected.modes.map(mode => JSON.stringify(mode)).join(' | ')};`);
+  } else {
+    lines.push(`export const tokens = {\n${objectEntries(collected.modes[0], '  ')}\n} as const;`);
+    lines.push('');
+  }
+  lines.push(`export type TokenName = ${tokenIds.length > 0 ? tokenIds.map(tokenId => JSON.stringify(tokenId)).join(' | ') : 'never'};`);
+
+  return { code: `${lines.join('\n')}\n`, skipped: collected.skipped };
+}
@@ -0,0 +1,114 @@
+/**
+ * Shared color helpers used by the file parsers, the contrast audit and duplicate detection
+ */
+
+/**
+ * Check if a value is a literal CSS color (hex, rgb or rgba)
+ */
+export function isColorValue(value) {
+  if (!value || typeof value !== 'string') return false;
+  return value.startsWith('#') || value.startsWith('rgba(') || value.startsWith('rgb(');
+}
+
+// Convert a 0-255 channel to a two-digit hex string
+const toHex = (n) => {
+  const hex = Math.round(Math.max(0, Math.min(255, n))).toString(16);
+  return hex.length === 1 ? '0' + hex : hex;
+};
+
+// Round alpha to two decimals so rgba strings match the ones in tokens.json (e.g. 0.04)
+const roundAlpha = (a) => Math.round(a * 100) / 100;
+
+/**
+ * Convert float RGBA channels (0-1, as used by Figma and DTCG color objects)
+ * to a hex string, or an rgba() string when the color is not fully opaque
+ */
+export function rgbaFloatToString({ r = 0, g = 0, b = 0, a = 1 }) {
+  const red = Math.round(r * 255);
+  const green = Math.round(g * 255);
+  const blue = Math.round(b * 255);
+  if (a === undefined || a === null || a >= 1) {
+    return `#${toHex(red)}${toHex(green)}${toHex(blue)}`;
+  }
+  return `rgba(${red}, ${green}, ${blue}, ${roundAlpha(a)})`;
+}
+
+/**
+ * Resolve a token to a literal color by following whole-value references in a token map
+ * Uses the given mode's value when the token has one, otherwise the token's value
+ */
+export function resolveReferenceColor(tokenMap, tokenId, mode, visited = new Set()) {
+  if (visited.has(tokenId)) return null; // Circular reference
+  visited.add(tokenId);
+
+  const token = tokenMap.get(tokenId);
+  if (!token) return null;
+
+  const modeValue = token.modes && mode ? token.modes[mode] : undefined;
+  if (modeValue === undefined && token.color) return token.color;
+
+  const candidate = modeValue !== undefined ? modeValue : token.value;
+  if (isColorValue(candidate)) return candidate;
+  if (typeof candidate === 'string' && tokenMap.has(candidate)) {
+    return resolveReferenceColor(tokenMap, candidate, mode, visited);
+  }
+  return null;
+}
+
+// Color keywords token files use as values
+const NAMED_COLORS = {
+  white: { r: 255, g: 255, b: 255, a: 1 },
+  black: { r: 0, g: 0, b: 0, a: 1 },
+  transparent: { r: 0, g: 0, b: 0, a: 0 }
+};
+
+/**
+ * Parse a literal color (#rgb, #rgba, #rrggbb, #rrggbbaa, rgb(), rgba(), white, black or transparent)
+ * into { r, g, b, a } with 0-255 channels and 0-1 alpha, or null for anything else
+ */
+export function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim();
+  if (NAMED_COLORS[color.toLowerCase()]) return { ...NAMED_COLORS[color.toLowerCase()] };
+
+  const hexMatch = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (hexMatch) {
+    let hex = hexMatch[1];
+    if (hex.length <= 4) hex = hex.split('').map(char => char + char).join('');
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const rgbMatch = color.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+%?)\s*)?\)$/i);
+  if (rgbMatch) {
+    const alpha = rgbMatch[4];
+    return {
+      r: parseFloat(rgbMatch[1]),
+      g: parseFloat(rgbMatch[2]),
+      b: parseFloat(rgbMatch[3]),
+      a: alpha === undefined ? 1 : alpha.endsWith('%') ? parseFloat(alpha) / 100 : parseFloat(alpha)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * sRGB channel (0-255) to linear light
+ */
+export function srgbToLinear(channel) {
+  const value = channel / 255;
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Blend a translucent { r, g, b, a } color onto an opaque backdrop; returns an opaque color
+ */
+export function blendColors(color, backdrop) {
+  const mix = (channel) => color[channel] * color.a + backdrop[channel] * (1 - color.a);
+  return { r: mix('r'), g: mix('g'), b: mix('b'), a: 1 };
+}
@@ -0,0 +1,32 @@
+/**
+ * SVG path for a connection between two tokens on the canvas
+ * Shared by TokenConnection and the image export so exported connections match the canvas
+ */
+
+const isValidNumber = (n) => typeof n === 'number' && !isNaN(n) && isFinite(n);
+
+/**
+ * Get the path data for a connection ({ sourceX, sourceY, targetX, targetY, isHorizontal?, midX?, midY? }),
+ * or null if its coordinates are invalid
+ */
+export function getConnectionPath(connection) {
+  const { sourceX, sourceY, targetX, targetY } = connection;
+  if (!isValidNumber(sourceX) || !isValidNumber(sourceY) || !isValidNumber(targetX) || !isValidNumber(targetY)) {
+    return null;
+  }
+
+  // For horizontal chain connections, use straight line; otherwise use curved or L-shaped path
+  if (connection.isHorizontal) {
+    // Straight horizontal line for chain view
+    return `M ${sourceX} ${sourceY} L ${targetX} ${targetY}`;
+  }
+  if (connection.midX !== undefined && isValidNumber(connection.midX)) {
+    // L-shaped path for stacked consuming tokens (horizontal then vertical)
+    // Use midY if provided to keep horizontal segment at source Y, otherwise use sourceY
+    const horizontalY = (connection.midY !== undefined && isValidNumber(connection.midY)) ? connection.midY : sourceY;
+    return `M ${sourceX} ${sourceY} L ${connection.midX} ${horizontalY} L ${connection.midX} ${targetY} L ${targetX} ${targetY}`;
+  }
+  // Curved path for normal connections
+  const midX = (sourceX + targetX) / 2;
+  return `M ${sourceX} ${sourceY} C ${midX} ${sourceY}, ${midX} ${targetY}, ${targetX} ${targetY}`;
+}
@@ -0,0 +1,175 @@
+/**
+ * Contrast audit: foreground/background token pairs checked in every mode
+ * Each token is resolved through its reference chain in the mode, then the pair gets a WCAG 2.x
+ * contrast ratio and an APCA lightness contrast (Lc). A translucent foreground is blended onto
+ * its background first; a translucent background has no known backdrop, so those pairs are skipped
+ */
+
+import { createValueResolver } from './tokenValues';
+import { parseColor, srgbToLinear, blendColors } from './colorUtils';
+import { globToRegExp } from './layerRules';
+
+/**
+ * Pair rules: every token matching foreground is paired with every token matching background.
+ * Patterns are token id globs ("*" matches one segment, "**" any number), so a rule with two
+ * plain token ids is an explicit pair. minRatio is the WCAG ratio to pass, minLc the APCA Lc
+ * (4.5 / 60 for text, 3 / 45 for icons and other non-text elements)
+ */
+export const DEFAULT_CONTRAST_CONFIG = {
+  rules: [
+    { foreground: 'text.**', background: 'background.**', minRatio: 4.5, minLc: 60 },
+    { foreground: 'text.**', background: 'bg.**', minRatio: 4.5, minLc: 60 },
+    { foreground: 'icon.**', background: 'background.**', minRatio: 3, minLc: 45 },
+    { foreground: 'icon.**', background: 'bg.**', minRatio: 3, minLc: 45 }
+  ]
+};
+
+export const CONTRAST_STANDARDS = [
+  { id: 'wcag', name: 'WCAG 2.x' },
+  { id: 'apca', name: 'APCA' }
+];
+
+/**
+ * WCAG 2.x relative luminance of an opaque { r, g, b } color (0 for black, 1 for white)
+ */
+export function getRelativeLuminance({ r, g, b }) {
+  return 0.2126 * srgbToLinear(r) + 0.7152 * srgbToLinear(g) + 0.0722 * srgbToLinear(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio of two opaque colors (1 to 21)
+ */
+export function getContrastRatio(foreground, background) {
+  const lighter = Math.max(getRelativeLuminance(foreground), getRelativeLuminance(background));
+  const darker = Math.min(getRelativeLuminance(foreground), getRelativeLuminance(background));
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// APCA-W3 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  normBG: 0.56,
+  normTXT: 0.57,
+  revTXT: 0.62,
+  revBG: 0.65,
+  blkThrs: 0.022,
+  blkClmp: 1.414,
+  scale: 1.14,
+  loOffset: 0.027,
+  loClip: 0.1,
+  deltaYmin: 0.0005
+};
+
+// APCA screen luminance, with the soft clamp for near-black colors
+function getAPCALuminance({ r, g, b }) {
+  const y = 0.2126729 * Math.pow(r / 255, APCA.mainTRC) +
+    0.7151522 * Math.pow(g / 255, APCA.mainTRC) +
+    0.0721750 * Math.pow(b / 255, APCA.mainTRC);
+  return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+}
+
+/**
+ * APCA lightness contrast (Lc) of text on a background, both opaque
+ * Positive for dark text on a light background, negative for light text on a dark one
+ */
+export function getAPCAContrast(foreground, background) {
+  const textY = getAPCALuminance(foreground);
+  const backgroundY = getAPCALuminance(background);
+  if (Math.abs(backgroundY - textY) < APCA.deltaYmin) return 0;
+
+  if (backgroundY > textY) {
+    const contrast = (Math.pow(backgroundY, APCA.normBG) - Math.pow(textY, APCA.normTXT)) * APCA.scale;
+    return contrast < APCA.loClip ? 0 : (contrast - APCA.loOffset) * 100;
+  }
+  const contrast = (Math.pow(backgroundY, APCA.revBG) - Math.pow(textY, APCA.revTXT)) * APCA.scale;
+  return contrast > -APCA.loClip ? 0 : (contrast + APCA.loOffset) * 100;
+}
+
+// Compile a rule pattern; an empty pattern matches nothing
+function toMatcher(pattern) {
+  if (!pattern) return () => false;
+  const regex = globToRegExp(String(pattern).trim());
+  return (tokenId) => regex.test(tokenId);
+}
+
+/**
+ * Collect the foreground/background pairs a config describes
+ * A pair matched by several rules uses the last rule, so explicit pairs listed after the
+ * naming rules can change their thresholds. Returns [{ foreground, background, minRatio, minLc }]
+ */
+export function collectContrastPairs(graph, config = DEFAULT_CONTRAST_CONFIG) {
+  const { nodes } = createValueResolver(graph);
+  const tokenIds = nodes.map(node => node.id);
+  const pairs = new Map(); // "foreground|background" -> pair
+
+  (config.rules || []).forEach(rule => {
+    const matchesForeground = toMatcher(rule.foreground);
+    const matchesBackground = toMatcher(rule.background);
+    const foregrounds = tokenIds.filter(matchesForeground);
+    const backgrounds = tokenIds.filter(matchesBackground);
+    foregrounds.forEach(foreground => {
+      backgrounds.forEach(background => {
+        if (foreground === background) return;
+        pairs.set(`${foreground}|${background}`, {
+          foreground,
+          background,
+          minRatio: Number(rule.minRatio) || 0,
+          minLc: Number(rule.minLc) || 0
+        });
+      });
+    });
+  });
+
+  return Array.from(pairs.values());
+}
+
+/**
+ * Audit every pair in every mode of the graph
+ * Returns { modes, pairs }; each pair is { foreground, background, minRatio, minLc, results } with a
+ * result per mode: { mode, foregroundColor, backgroundColor, ratio, lc, wcagPass, apcaPass, skipped }
+ * where skipped explains why a mode couldn't be checked (no color, translucent background)
+ */
+export function auditContrast(graph, config = DEFAULT_CONTRAST_CONFIG) {
+  const { resolve } = createValueResolver(graph);
+  const modes = graph.availableModes && graph.availableModes.length > 0 ? graph.availableModes : [null];
+
+  const getColor = (tokenId, mode) => {
+    const { value } = resolve(tokenId, mode);
+    return { value, color: parseColor(value) };
+  };
+
+  const pairs = collectContrastPairs(graph, config).map(pair => ({
+    ...pair,
+    results: modes.map(mode => {
+      const foreground = getColor(pair.foreground, mode);
+      const background = getColor(pair.background, mode);
+      const result = { mode, foregroundColor: foreground.value, backgroundColor: background.value };
+      if (!foreground.color || !background.color) {
+        return { ...result, skipped: `${!foreground.color ? pair.foreground : pair.background} has no color value` };
+      }
+      if (background.color.a < 1) {
+        return { ...result, skipped: 'The background is translucent' };
+      }
+      const text = foreground.color.a < 1 ? blendColors(foreground.color, background.color) : foreground.color;
+      const ratio = getContrastRatio(text, background.color);
+      const lc = getAPCAContrast(text, background.color);
+      return {
+        ...result,
+        ratio,
+        lc,
+        wcagPass: ratio >= pair.minRatio,
+        apcaPass: Math.abs(lc) >= pair.minLc
+      };
+    })
+  }));
+
+  return { modes, pairs };
+}
+
+/**
+ * Whether a pair result passes under a standard ('wcag' or 'apca'); null when it was skipped
+ */
+export function isContrastPass(result, standard) {
+  if (result.skipped) return null;
+  return standard === 'apca' ? result.apcaPass : result.wcagPass;
+}
@@ -0,0 +1,114 @@
+/**
+ * Export a graph as CSS custom properties
+ * :root holds every token's default value; each mode gets a [data-mode="..."] block that overrides
+ * the tokens whose value differs in that mode. References are written as var(--token) or, with
+ * resolve: true, as the literal value at the end of the reference chain
+ */
+
+import { createValueResolver } from './tokenValues';
+
+/**
+ * Convert a token id to a CSS custom property name ("text.accent" -> "--text-accent")
+ */
+export function tokenIdToCSSVariable(tokenId) {
+  return `--${tokenId.replace(/\./g, '-').replace(/[^\w-]/g, '-')}`;
+}
+
+// Composite (JSON) values have no CSS custom property form
+function isCompositeValue(value) {
+  return typeof value === 'string' && /^[[{]/.test(value.trim());
+}
+
+/**
+ * Build the CSS for a graph
+ * Options: { resolve } - write literal values instead of var() references (default false),
+ *          { modes } - modes to write blocks for (default graph.availableModes),
+ *          { modeAttribute } - attribute used in mode selectors (default "data-mode"),
+ *          { sourceName } - named in the header comment
+ * Returns { css, skipped } - skipped lists tokens left out ({ tokenId, mode, reason })
+ */
+export function exportGraphToCSS(graph, options = {}) {
+  const {
+    resolve = false,
+    modes = graph.availableModes || [],
+    modeAttribute = 'data-mode',
+    sourceName
+  } = options;
+  const { nodes, getReference, resolve: resolveValue } = createValueResolver(graph);
+  const skipped = [];
+
+  // CSS value of a token in a mode (undefined mode = the token's default value), or null if it can't be written
+  const getDeclarationValue = (node, mode) => {
+    const resolved = resolveValue(node.id, mode);
+    if (resolved.circular || resolved.unresolved) {
+      skipped.push({ tokenId: node.id, mode, reason: resolved.circular ? 'circular reference' : 'unresolved reference' });
+      return null;
+    }
+    if (isCompositeValue(resolved.value) || resolved.value === null || resolved.value === undefined || resolved.value === '') {
+      skipped.push({ tokenId: node.id, mode, reason: 'no CSS value' });
+      return null;
+    }
+    const targetId = getReference(node.id, mode);
+    return !resolve && targetId ? `var(${tokenIdToCSSVariable(targetId)})` : String(resolved.value);
+  };
+
+  // Group declarations by layer, in the order layers first appear
+  const writeDeclarations = (entries) => {
+    const lines = [];
+    let currentLayer = null;
+    entries.forEach(({ node, value }) => {
+      if (node.layer !== currentLayer) {
+        currentLayer = node.layer;
+        if (lines.length > 0) lines.push('');
+        lines.push(`  /* ${currentLayer || 'unknown'} */`);
+      }
+      lines.push(`  ${tokenIdToCSSVariable(node.id)}: ${value};`);
+    });
+    return lines;
+  };
+
+  const layerOrder = [];
+  nodes.forEach(node => {
+    if (!layerOrder.includes(node.layer)) layerOrder.push(node.layer);
+  });
+  const orderedNodes = layerOrder.flatMap(layer => nodes.filter(node => node.layer === layer));
+
+  const rootEntries = [];
+  const rootValues = new Map(); // tokenId -> { value, resolved } written in :root
+  orderedNodes.forEach(node => {
+    const value = getDeclarationValue(node, undefined);
+    if (value === null) return;
+    rootEntries.push({ node, value });
+    rootValues.set(node.id, { value, resolved: resolveValue(node.id, undefined).value });
+  });
+
+  const blocks = [`:root {\n${writeDeclarations(rootEntries).join('\n')}\n}`];
+
+  modes.forEach(mode => {
+    // A mode block only needs the tokens whose value (or whose resolved value, for var() chains
+    // that end in an overridden token) differs from :root
+    const entries = [];
+    orderedNodes.forEach(node => {
+      const root = rootValues.get(node.id);
+      const resolved = resolveValue(node.id, mode);
+      const value = getDeclarationValue(node, mode);
+      if (value === null) return;
+      if (root && root.value === value && root.resolved === resolved.value) return;
+      entries.push({ node, value });
+    });
+
+    const selector = `[${modeAttribute}="${mode.replace(/"/g, '\\"')}"]`;
+    blocks.push(entries.length > 0
+      ? `${selector} {\n${writeDeclarations(entries).join('\n')}\n}`
+      : `${selector} {\n  /* Same values as :root */\n}`);
+  });
+
+  const header = [
+    '/**',
+    ` * Design tokens${sourceName ? ` from ${sourceName}` : ''}`,
+    ` * Generated by the token visualizer (${resolve ? 'resolved values' : 'var() references'}) - do not edit by hand`,
+    ' */'
+  ].join('\n');
+
+  return { css: `${header}\n\n${blocks.join('\n\n')}\n`, skipped };
+}
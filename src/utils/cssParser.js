@@ -0,0 +1,347 @@
+/**
+ * Parser for CSS files with custom properties (CSS variables)
+ * Each --custom-property becomes a token; var(--x) references become reference links
+ * Selector blocks are treated as modes:
+ *   :root / html                         -> "default"
+ *   [data-theme="dark"], [data-mode=x]   -> "dark", "x"
+ *   .dark, .theme-blue                   -> "dark", "blue"
+ *   @media (prefers-color-scheme: dark)  -> "dark"
+ */
+
+import { isColorValue, resolveReferenceColor } from './colorUtils';
+import { matchLayerRule } from './layerRules';
+import { DIAGNOSTIC_KINDS, createDiagnostic } from './diagnostics';
+
+const DEFAULT_MODE = 'default';
+
+/**
+ * Naming rules used to infer a layer from a token path (matching the Teardrop token naming)
+ * Tokens that match no rule fall back to "primitive" when their value is the same literal
+ * in every mode, and "semantic" otherwise
+ */
+export const DEFAULT_CSS_LAYER_RULES = [
+  { pattern: /^(opacity\.)?[a-z]+\.\d+$/, layer: 'primitive' },
+  { pattern: /^(text|background|border|icon)\./, layer: 'global' },
+  { pattern: /^input\./, layer: 'shared' },
+  { pattern: /^(accordion|breadcrumbs|button|checkbox|modal|radio)\./, layer: 'component' }
+];
+
+// Class names treated as modes even without a theme-/mode- prefix (e.g. .dark)
+const SCHEME_CLASSES = ['light', 'dark', 'darker', 'dim', 'midnight', 'high-contrast'];
+
+const VAR_PATTERN = /var\(\s*--([\w-]+)/g;
+const WHOLE_VAR_PATTERN = /^var\(\s*--([\w-]+)\s*(?:,[\s\S]*)?\)$/;
+
+/**
+ * Convert a custom property name to a token id (e.g. "--text-accent" -> "text.accent")
+ */
+export function cssVariableToTokenId(name) {
+  return name.replace(/^--/, '').replace(/-/g, '.');
+}
+
+// Split a string on a separator, ignoring separators inside parentheses or quotes
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Split CSS into top-level rules: [{ prelude, body }]
+ * Statements without a block (e.g. @import) are skipped
+ */
+function splitRules(css) {
+  const rules = [];
+  let depth = 0;
+  let prelude = '';
+  let bodyStart = -1;
+  for (let i = 0; i < css.length; i++) {
+    const char = css[i];
+    if (char === '{') {
+      if (depth === 0) bodyStart = i + 1;
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        rules.push({ prelude: prelude.trim(), body: css.slice(bodyStart, i) });
+        prelude = '';
+      }
+      if (depth < 0) depth = 0;
+    } else if (depth === 0) {
+      if (char === ';') {
+        prelude = '';
+      } else {
+        prelude += char;
+      }
+    }
+  }
+  return rules;
+}
+
+/**
+ * Get the mode a selector defines variables for, or null if it isn't a mode selector
+ */
+function getModeFromSelector(selector, mediaMode) {
+  const trimmed = selector.trim();
+  if (/^(:root|html|:host|\*)$/.test(trimmed)) {
+    return mediaMode || DEFAULT_MODE;
+  }
+  const attrMatch = trimmed.match(/\[data-(?:theme|mode|color-scheme)\s*=\s*["']?([^"'\]\s]+)["']?\s*\]/);
+  if (attrMatch) {
+    return attrMatch[1];
+  }
+  const classMatch = trimmed.match(/^(?::root|html|body)?\.([\w-]+)$/);
+  if (classMatch) {
+    const className = classMatch[1];
+    if (/^(theme|mode)-/.test(className)) {
+      return className.replace(/^(theme|mode)-/, '');
+    }
+    if (SCHEME_CLASSES.includes(className)) {
+      return className;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse CSS text and convert custom properties to graph format
+ * Options: { layerRules } - naming rules checked before DEFAULT_CSS_LAYER_RULES,
+ *          { inferReferences } - link literal values to the single primitive with the same value (default true)
+ */
+export function parseCSSFile(cssText, options = {}) {
+  const { layerRules = [], inferReferences = true } = options;
+  const css = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  const modeOrder = [];
+  const declarationsByMode = new Map(); // mode -> Map(tokenId -> raw value)
+  const tokenOrder = [];
+  const seenTokens = new Set();
+  const diagnostics = [];
+
+  function addDeclarations(mode, body) {
+    if (!declarationsByMode.has(mode)) {
+      declarationsByMode.set(mode, new Map());
+      modeOrder.push(mode);
+    }
+    const declarations = declarationsByMode.get(mode);
+    splitTopLevel(body, ';').forEach(declaration => {
+      const colonIndex = declaration.indexOf(':');
+      if (colonIndex === -1) return;
+      const property = declaration.slice(0, colonIndex).trim();
+      if (!property.startsWith('--')) return;
+      const tokenId = cssVariableToTokenId(property);
+      declarations.set(tokenId, declaration.slice(colonIndex + 1).trim().replace(/\s*!important$/, ''));
+      if (!seenTokens.has(tokenId)) {
+        seenTokens.add(tokenId);
+        tokenOrder.push(tokenId);
+      }
+    });
+  }
+
+  function processRules(text, mediaMode = null) {
+    splitRules(text).forEach(({ prelude, body }) => {
+      if (prelude.startsWith('@media')) {
+        const schemeMatch = prelude.match(/prefers-color-scheme\s*:\s*(\w+)/);
+        if (schemeMatch) {
+          processRules(body, schemeMatch[1]);
+        } else {
+          diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_KINDS.SKIPPED_RULE,
+            'info',
+            `Skipped unsupported media query: ${prelude}`,
+            { path: prelude }
+          ));
+        }
+        return;
+      }
+      if (prelude.startsWith('@supports') || prelude.startsWith('@layer')) {
+        processRules(body, mediaMode);
+        return;
+      }
+      if (prelude.startsWith('@')) return;
+
+      // Blocks without custom properties (regular styles) are not token definitions
+      if (!body.includes('--')) return;
+
+      prelude.split(',').forEach(selector => {
+        const mode = getModeFromSelector(selector, mediaMode);
+        if (mode) {
+          addDeclarations(mode, body);
+        } else {
+          diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_KINDS.SKIPPED_RULE,
+            'info',
+            `Skipped selector "${selector.trim()}": it is not a mode selector`,
+            { path: selector.trim() }
+          ));
+        }
+      });
+    });
+  }
+
+  processRules(css);
+
+  if (tokenOrder.length === 0) {
+    throw new Error('No CSS custom properties found');
+  }
+
+  // Values cascade from the base block: a mode block only overrides what it declares
+  const baseMode = declarationsByMode.has(DEFAULT_MODE) ? DEFAULT_MODE : modeOrder[0];
+  const baseDeclarations = declarationsByMode.get(baseMode);
+  const getValue = (mode, tokenId) => {
+    const declarations = declarationsByMode.get(mode);
+    if (declarations.has(tokenId)) return declarations.get(tokenId);
+    return baseDeclarations.get(tokenId);
+  };
+
+  // Convert a raw CSS value to the stored form: whole var() references become token ids
+  const toTokenValue = (rawValue) => {
+    if (typeof rawValue !== 'string') return rawValue;
+    const wholeVar = rawValue.match(WHOLE_VAR_PATTERN);
+    return wholeVar ? cssVariableToTokenId(`--${wholeVar[1]}`) : rawValue;
+  };
+
+  const nodes = [];
+  const tokenMap = new Map();
+  const rawValues = new Map(); // tokenId -> { mode: raw CSS value }
+
+  tokenOrder.forEach(tokenId => {
+    const raw = {};
+    modeOrder.forEach(mode => {
+      const value = getValue(mode, tokenId);
+      if (value !== undefined) raw[mode] = value;
+    });
+    rawValues.set(tokenId, raw);
+
+    const values = Object.values(raw);
+    const usesVar = values.some(v => v.includes('var('));
+    const isConstant = values.every(v => v === values[0]);
+    const defaultValue = toTokenValue(raw[baseMode] !== undefined ? raw[baseMode] : values[0]);
+
+    const layer = matchLayerRule(tokenId, layerRules) ||
+      matchLayerRule(tokenId, DEFAULT_CSS_LAYER_RULES) ||
+      (isConstant && !usesVar ? 'primitive' : 'semantic');
+
+    const token = {
+      id: tokenId,
+      name: tokenId,
+      type: 'unknown',
+      layer: layer,
+      value: defaultValue,
+      description: ''
+    };
+
+    // Literal primitives shared by every mode have no modes; everything else is per mode
+    if (usesVar || !isConstant || layer !== 'primitive') {
+      token.modes = {};
+      Object.keys(raw).forEach(mode => {
+        token.modes[mode] = toTokenValue(raw[mode]);
+      });
+    }
+
+    if (isColorValue(defaultValue)) {
+      token.color = defaultValue;
+    }
+
+    tokenMap.set(tokenId, token);
+    nodes.push(token);
+  });
+
+  // Tokens.css-style files store resolved colors; map literals back to the primitive that holds them
+  if (inferReferences) {
+    const primitivesByValue = new Map();
+    nodes.forEach(node => {
+      if (node.layer === 'primitive' && !node.modes && isColorValue(node.value)) {
+        const key = node.value.toLowerCase();
+        primitivesByValue.set(key, primitivesByValue.has(key) ? null : node.id); // null marks ambiguous values
+      }
+    });
+    nodes.forEach(node => {
+      if (!node.modes || node.layer === 'primitive') return;
+      Object.keys(node.modes).forEach(mode => {
+        const modeValue = node.modes[mode];
+        if (!isColorValue(modeValue)) return;
+        const primitiveId = primitivesByValue.get(modeValue.toLowerCase());
+        if (primitiveId) {
+          node.modes[mode] = primitiveId;
+        }
+      });
+      if (node.modes[baseMode] !== undefined) {
+        node.value = node.modes[baseMode];
+      }
+    });
+  }
+
+  nodes.forEach(node => {
+    const resolved = resolveReferenceColor(tokenMap, node.id, node.modes ? baseMode : null);
+    if (resolved) {
+      node.color = resolved;
+      node.type = 'color';
+    }
+  });
+
+  // Build reference links per mode from var() references (and inferred primitive references)
+  const links = [];
+  const linkKeys = new Set();
+  const addLink = (source, target, mode) => {
+    const key = `${source}->${target}@${mode}`;
+    if (source !== target && tokenMap.has(target) && !linkKeys.has(key)) {
+      linkKeys.add(key);
+      links.push({ source, target, type: 'reference', mode });
+    }
+  };
+  nodes.forEach(node => {
+    if (!node.modes) return;
+    const raw = rawValues.get(node.id);
+    Object.keys(node.modes).forEach(mode => {
+      for (const match of (raw[mode] || '').matchAll(VAR_PATTERN)) {
+        const targetId = cssVariableToTokenId(`--${match[1]}`);
+        if (!tokenMap.has(targetId)) {
+          diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_KINDS.UNRESOLVED_REFERENCE,
+            'error',
+            `${node.id} references --${match[1]} in mode ${mode}, which is not defined`,
+            { tokenId: node.id, mode, value: `var(--${match[1]})` }
+          ));
+        }
+        addLink(node.id, targetId, mode);
+      }
+      if (tokenMap.has(node.modes[mode])) {
+        addLink(node.id, node.modes[mode], mode);
+      }
+    });
+  });
+
+  // The :root mode comes first so it's selected after loading
+  const availableModes = nodes.some(node => node.modes)
+    ? Array.from(modeOrder).sort((a, b) => (b === DEFAULT_MODE) - (a === DEFAULT_MODE) || a.localeCompare(b))
+    : [];
+
+  return {
+    nodes,
+    links,
+    availableModes,
+    version: null,
+    allVersions: [],
+    diagnostics
+  };
+}
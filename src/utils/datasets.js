@@ -0,0 +1,55 @@
+/**
+ * Token sources bundled with the app (every JSON file in src/lib/mana)
+ * Files are split into their own chunks and only fetched and parsed when selected
+ */
+
+import { parseJSONData } from './fileParser';
+
+const datasetModules = import.meta.glob('../lib/mana/*.json', { import: 'default' });
+
+// Display names for the known design systems; other files are named after the file
+const DATASET_NAMES = {
+  'tokens.json': 'Teardrop',
+  'mana-void-tokens.json': 'Void'
+};
+
+export const DEFAULT_DATASET_ID = 'tokens';
+
+// "mana-void-tokens.json" -> "Mana Void Tokens"
+function getDatasetName(fileName) {
+  if (DATASET_NAMES[fileName]) return DATASET_NAMES[fileName];
+  return fileName
+    .replace(/\.json$/, '')
+    .split(/[-_]/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Bundled datasets: [{ id, name, fileName }], default dataset first
+ */
+export const BUNDLED_DATASETS = Object.keys(datasetModules)
+  .map(path => {
+    const fileName = path.split('/').pop();
+    return { id: fileName.replace(/\.json$/, ''), name: getDatasetName(fileName), fileName, path };
+  })
+  .sort((a, b) => (b.id === DEFAULT_DATASET_ID) - (a.id === DEFAULT_DATASET_ID) || a.name.localeCompare(b.name));
+
+/**
+ * Find a bundled dataset by id
+ */
+export function getDataset(datasetId) {
+  return BUNDLED_DATASETS.find(dataset => dataset.id === datasetId) || null;
+}
+
+/**
+ * Load and parse a bundled dataset, returning its graph (with diagnostics)
+ */
+export async function loadDatasetGraph(datasetId) {
+  const dataset = getDataset(datasetId);
+  if (!dataset) {
+    throw new Error(`Unknown dataset: ${datasetId}`);
+  }
+  const data = await datasetModules[dataset.path]();
+  return parseJSONData(data, dataset.fileName).graph;
+}
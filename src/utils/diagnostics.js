@@ -0,0 +1,199 @@
+/**
+ * Import diagnostics: problems found while turning a token file into a graph
+ * A diagnostic is { kind, severity, message, tokenId?, path?, mode?, value?, file? }
+ * Parsers report what they skip; collectGraphDiagnostics checks the finished graph
+ */
+
+import { isColorValue } from './colorUtils';
+import { collectAliases } from './dtcgParser';
+import { getReferenceId, looksLikeReference } from './references';
+import { createAliasResolver } from './aliasResolver';
+import { findReferenceCycles, formatCycle } from './referenceCycles';
+import { isTokenNode } from './tokenValues';
+
+export const DIAGNOSTIC_KINDS = {
+  SKIPPED_TOKEN: 'skipped-token',
+  SKIPPED_RULE: 'skipped-rule',
+  UNRESOLVED_REFERENCE: 'unresolved-reference',
+  DUPLICATE_ID: 'duplicate-id',
+  UNKNOWN_VALUE_FORMAT: 'unknown-value-format',
+  NO_LINKS: 'no-links',
+  RESOLVED_ALIAS: 'resolved-alias',
+  AMBIGUOUS_ALIAS: 'ambiguous-alias',
+  CIRCULAR_REFERENCE: 'circular-reference'
+};
+
+export const DIAGNOSTIC_SEVERITIES = ['error', 'warning', 'info'];
+
+/**
+ * Create a diagnostic entry
+ */
+export function createDiagnostic(kind, severity, message, details = {}) {
+  return { kind, severity, message, ...details };
+}
+
+/**
+ * Format an array of JSON keys as a JSONPath string (["color", "1"] -> "$.color['1']")
+ */
+export function toJSONPath(keys) {
+  return '$' + keys.map(key => (/^[A-Za-z_$][\w$-]*$/.test(key) ? `.${key}` : `['${key}']`)).join('');
+}
+
+// Literal formats that aren't colors but are valid token values
+const DIMENSION_PATTERN = /^-?\d*\.?\d+(px|rem|em|%|vh|vw|ms|s|deg|pt)?$/i;
+const KEYWORD_VALUES = ['transparent', 'currentcolor', 'inherit', 'initial', 'unset', 'none', 'true', 'false'];
+const VALID_COLOR_PATTERN = /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\([^()]+\))$/i;
+
+// Check whether a literal (non-reference) value has a format we know how to display
+function isKnownLiteral(value, type) {
+  if (typeof value === 'number' || typeof value === 'boolean') return true;
+  if (typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  if (isColorValue(trimmed)) return VALID_COLOR_PATTERN.test(trimmed);
+  if (/^hsla?\(|^(oklch|oklab|lab|lch|color)\(/i.test(trimmed)) return true;
+  if (DIMENSION_PATTERN.test(trimmed) || KEYWORD_VALUES.includes(trimmed.toLowerCase())) return true;
+  // Composite values (JSON) and expressions (calc, var, math on aliases)
+  if (/^[[{]/.test(trimmed) || /^(calc|var|min|max|clamp)\(/.test(trimmed)) return true;
+  // Free-form strings (font families, easing names) are fine for non-color tokens
+  return type !== 'color' && trimmed.length > 0;
+}
+
+/**
+ * Check a finished graph for duplicate ids, unresolved references, reference cycles and unknown value formats
+ */
+export function collectGraphDiagnostics(graph) {
+  const diagnostics = [];
+  const nodes = graph.nodes || [];
+  const tokenIds = new Set();
+
+  nodes.forEach(node => {
+    if (tokenIds.has(node.id)) {
+      diagnostics.push(createDiagnostic(
+        DIAGNOSTIC_KINDS.DUPLICATE_ID,
+        'warning',
+        `Token id ${node.id} is defined more than once`,
+        { tokenId: node.id }
+      ));
+    }
+    tokenIds.add(node.id);
+  });
+  const resolver = createAliasResolver(nodes);
+
+  nodes.forEach(node => {
+    if (!isTokenNode(node)) return;
+    const entries = node.modes && Object.keys(node.modes).length > 0
+      ? Object.entries(node.modes)
+      : [[undefined, node.value]];
+
+    entries.forEach(([mode, value]) => {
+      const modeLabel = mode ? ` in mode ${mode}` : '';
+
+      if (value === null || value === undefined || value === '') {
+        diagnostics.push(createDiagnostic(
+          DIAGNOSTIC_KINDS.UNKNOWN_VALUE_FORMAT,
+          'warning',
+          `${node.id} has no value${modeLabel}`,
+          { tokenId: node.id, mode }
+        ));
+        return;
+      }
+
+      if (getReferenceId(value, resolver)) return;
+
+      if (looksLikeReference(value)) {
+        diagnostics.push(createDiagnostic(
+          DIAGNOSTIC_KINDS.UNRESOLVED_REFERENCE,
+          'error',
+          `${node.id} references ${value}${modeLabel}, which is not defined`,
+          { tokenId: node.id, mode, value }
+        ));
+        return;
+      }
+
+      // Aliases embedded in expressions or composites ("{space.sm} * 2")
+      const missingAliases = collectAliases(value).filter(alias => !getReferenceId(alias, resolver));
+      if (missingAliases.length > 0) {
+        missingAliases.forEach(alias => {
+          diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_KINDS.UNRESOLVED_REFERENCE,
+            'error',
+            `${node.id} references ${alias}${modeLabel}, which is not defined`,
+            { tokenId: node.id, mode, value: alias }
+          ));
+        });
+        return;
+      }
+
+      if (!isKnownLiteral(value, node.type)) {
+        diagnostics.push(createDiagnostic(
+          DIAGNOSTIC_KINDS.UNKNOWN_VALUE_FORMAT,
+          'warning',
+          `${node.id} has a value in an unknown format${modeLabel}: ${typeof value === 'string' ? value : JSON.stringify(value)}`,
+          { tokenId: node.id, mode, value }
+        ));
+      }
+    });
+  });
+
+  findReferenceCycles(graph).forEach(({ members, modes }) => {
+    const modeLabel = modes[0] === null ? '' : ` in mode${modes.length === 1 ? '' : 's'} ${modes.join(', ')}`;
+    diagnostics.push(createDiagnostic(
+      DIAGNOSTIC_KINDS.CIRCULAR_REFERENCE,
+      'error',
+      `Circular reference${modeLabel}: ${formatCycle(members)}`,
+      { tokenId: members[0], members, modes }
+    ));
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Turn an alias resolver report into diagnostics, so it's visible which rule resolved each alias
+ * Aliases that matched several tokens are warnings; the rest are info
+ */
+export function collectAliasDiagnostics(resolutions) {
+  return resolutions.map(({ reference, tokenId, rule, prefix, candidates }) => {
+    const how = prefix ? `${rule} rule after stripping "${prefix}"` : `${rule} rule`;
+    if (candidates.length > 1) {
+      return createDiagnostic(
+        DIAGNOSTIC_KINDS.AMBIGUOUS_ALIAS,
+        'warning',
+        `${reference} matches ${candidates.join(', ')} (${how}); using ${tokenId}`,
+        { tokenId, value: reference, rule, candidates }
+      );
+    }
+    return createDiagnostic(
+      DIAGNOSTIC_KINDS.RESOLVED_ALIAS,
+      'info',
+      `${reference} resolves to ${tokenId} (${how})`,
+      { tokenId, value: reference, rule }
+    );
+  });
+}
+
+/**
+ * Build the exportable diagnostics report (for CI): summary counts plus every diagnostic
+ */
+export function buildDiagnosticsReport(diagnostics, source) {
+  const bySeverity = {};
+  const byKind = {};
+  DIAGNOSTIC_SEVERITIES.forEach(severity => {
+    bySeverity[severity] = 0;
+  });
+  diagnostics.forEach(diagnostic => {
+    bySeverity[diagnostic.severity] = (bySeverity[diagnostic.severity] || 0) + 1;
+    byKind[diagnostic.kind] = (byKind[diagnostic.kind] || 0) + 1;
+  });
+
+  return {
+    source: source || null,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      total: diagnostics.length,
+      bySeverity,
+      byKind
+    },
+    diagnostics
+  };
+}
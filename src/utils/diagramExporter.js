@@ -0,0 +1,151 @@
+/**
+ * Export reference chains as diagram text: Graphviz DOT and Mermaid flowcharts
+ * Works on the graphs the canvas shows (App's organizedGraph / filteredGraph: { allNodes, links,
+ * columns.layerGroups }). Tokens are clustered by layer group, and each reference is one edge labelled
+ * with the modes it applies in, so a token that points at the same target in every mode gets a single edge
+ */
+
+import { isTokenNode } from './tokenValues';
+
+/**
+ * Collect the tokens, layer clusters and edges of a diagram
+ * Options: { tokenIds } - only include these tokens (default: every token in the graph),
+ *          { modes } - all modes of the graph, so edges that apply in every mode are labelled "all modes"
+ * Returns { clusters: [{ id, name, nodes }], edges: [{ source, target, modes }] }
+ */
+export function collectDiagram(graph, options = {}) {
+  const { tokenIds, modes = [] } = options;
+  const nodes = (graph.allNodes || graph.nodes || [])
+    .filter(isTokenNode)
+    .filter(node => !tokenIds || tokenIds.has(node.id));
+  const includedIds = new Set(nodes.map(node => node.id));
+
+  // Clusters follow the layer groups' order on the canvas; layers without a group go last
+  const layerGroups = (graph.columns && graph.columns.layerGroups) || [];
+  const clusters = layerGroups.map(layerGroup => ({ id: layerGroup.layer, name: layerGroup.name, nodes: [] }));
+  const clusterByLayer = new Map(clusters.map(cluster => [cluster.id, cluster]));
+  nodes.forEach(node => {
+    const layer = node.layer || 'global';
+    if (!clusterByLayer.has(layer)) {
+      const cluster = { id: layer, name: layer, nodes: [] };
+      clusters.push(cluster);
+      clusterByLayer.set(layer, cluster);
+    }
+    clusterByLayer.get(layer).nodes.push(node);
+  });
+
+  // source->target -> modes the reference applies in
+  const edgeMap = new Map();
+  (graph.links || []).forEach(link => {
+    if (link.type && link.type !== 'reference') return;
+    const source = typeof link.source === 'object' ? link.source.id : link.source;
+    const target = typeof link.target === 'object' ? link.target.id : link.target;
+    if (source === target || !includedIds.has(source) || !includedIds.has(target)) return;
+    const key = `${source}->${target}`;
+    if (!edgeMap.has(key)) edgeMap.set(key, { source, target, modes: [] });
+    const edge = edgeMap.get(key);
+    if (link.mode && !edge.modes.includes(link.mode)) edge.modes.push(link.mode);
+  });
+
+  // List each edge's modes in the graph's mode order
+  const modeIndex = (mode) => (modes.includes(mode) ? modes.indexOf(mode) : modes.length);
+  const edges = Array.from(edgeMap.values());
+  edges.forEach(edge => edge.modes.sort((a, b) => modeIndex(a) - modeIndex(b)));
+
+  return { clusters: clusters.filter(cluster => cluster.nodes.length > 0), edges };
+}
+
+// Edge label: the modes a reference applies in ("all modes" when it applies in every one, none without modes)
+function getEdgeLabel(edge, modes) {
+  if (edge.modes.length === 0 || modes.length <= 1) return '';
+  if (edge.modes.length === modes.length && modes.every(mode => edge.modes.includes(mode))) return 'all modes';
+  return edge.modes.join(', ');
+}
+
+function getHeaderLines(commentPrefix, options) {
+  return [
+    `${commentPrefix} Token references${options.sourceName ? ` from ${options.sourceName}` : ''}${options.scopeLabel ? ` (${options.scopeLabel})` : ''}`,
+    `${commentPrefix} Generated by the token visualizer`
+  ];
+}
+
+function quoteDOT(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Export a graph as a Graphviz DOT digraph, with one cluster per layer
+ * Options: { tokenIds, modes, sourceName, scopeLabel }; returns { dot, nodeCount, edgeCount }
+ */
+export function exportGraphToDOT(graph, options = {}) {
+  const modes = options.modes || [];
+  const { clusters, edges } = collectDiagram(graph, options);
+
+  const lines = [
+    ...getHeaderLines('//', options),
+    'digraph tokens {',
+    '  rankdir=LR;',
+    '  node [shape=box, style=rounded, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+  clusters.forEach(cluster => {
+    lines.push('', `  subgraph ${quoteDOT(`cluster_${cluster.id}`)} {`, `    label=${quoteDOT(cluster.name)};`);
+    cluster.nodes.forEach(node => {
+      lines.push(`    ${quoteDOT(node.id)}${node.name !== node.id ? ` [label=${quoteDOT(node.name)}]` : ''};`);
+    });
+    lines.push('  }');
+  });
+  if (edges.length > 0) lines.push('');
+  edges.forEach(edge => {
+    const label = getEdgeLabel(edge, modes);
+    lines.push(`  ${quoteDOT(edge.source)} -> ${quoteDOT(edge.target)}${label ? ` [label=${quoteDOT(label)}]` : ''};`);
+  });
+  lines.push('}');
+
+  const nodeCount = clusters.reduce((count, cluster) => count + cluster.nodes.length, 0);
+  return { dot: `${lines.join('\n')}\n`, nodeCount, edgeCount: edges.length };
+}
+
+// Mermaid labels are quoted strings; quotes and markup characters need entity codes
+function escapeMermaid(text) {
+  return String(text)
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;')
+    .replace(/\|/g, '#124;');
+}
+
+// Mermaid renders at most this many edges unless its maxEdges setting is raised
+export const MERMAID_MAX_EDGES = 500;
+
+/**
+ * Export a graph as a Mermaid flowchart, with one subgraph per layer
+ * Node ids are generated (t0, t1, …) since token ids contain characters Mermaid ids can't
+ * Options: { tokenIds, modes, sourceName, scopeLabel }; returns { mermaid, nodeCount, edgeCount }
+ */
+export function exportGraphToMermaid(graph, options = {}) {
+  const modes = options.modes || [];
+  const { clusters, edges } = collectDiagram(graph, options);
+
+  const nodeIds = new Map();
+  clusters.forEach(cluster => {
+    cluster.nodes.forEach(node => nodeIds.set(node.id, `t${nodeIds.size}`));
+  });
+
+  const lines = [...getHeaderLines('%%', options), 'flowchart LR'];
+  clusters.forEach((cluster, index) => {
+    lines.push(`  subgraph layer${index}["${escapeMermaid(cluster.name)}"]`);
+    cluster.nodes.forEach(node => {
+      lines.push(`    ${nodeIds.get(node.id)}["${escapeMermaid(node.name)}"]`);
+    });
+    lines.push('  end');
+  });
+  edges.forEach(edge => {
+    const label = getEdgeLabel(edge, modes);
+    const arrow = label ? `-->|"${escapeMermaid(label)}"|` : '-->';
+    lines.push(`  ${nodeIds.get(edge.source)} ${arrow} ${nodeIds.get(edge.target)}`);
+  });
+
+  const nodeCount = nodeIds.size;
+  return { mermaid: `${lines.join('\n')}\n`, nodeCount, edgeCount: edges.length };
+}
@@ -0,0 +1,235 @@
+/**
+ * Generate reference documentation for a token graph as Markdown or a single-file HTML page
+ * The docs follow the canvas: one section per layer group (App's organizedGraph), tokens in canvas
+ * order, and swatches and values resolved the way TokenNode shows them (see tokenDisplay)
+ */
+
+import { createValueResolver, isTokenNode } from './tokenValues';
+import { getSwatchColor, getDisplayValue } from './tokenDisplay';
+
+/**
+ * Collect what the docs show for an organized graph ({ columns: { layerGroups, [layer]: nodes }, links, allNodes })
+ * Options: { modes } - modes to document (an empty list documents each token's default value)
+ * Returns { modes, sections: [{ id, name, layer, tokens }] }; each token is
+ * { id, name, type, description, values: [{ mode, value, swatch, primitiveId }], usedBy }
+ */
+export function collectTokenDocs(organizedGraph, options = {}) {
+  const modes = options.modes && options.modes.length > 0 ? options.modes : [null];
+  const tokenNodes = (organizedGraph.allNodes || []).filter(isTokenNode);
+  const nodeMap = new Map(tokenNodes.map(node => [node.id, node]));
+  const getNode = (tokenId) => nodeMap.get(tokenId);
+  const { resolve } = createValueResolver({ nodes: tokenNodes });
+
+  // target id -> ids of the tokens that reference it (in any mode)
+  const usedBy = new Map();
+  (organizedGraph.links || []).forEach(link => {
+    if (link.type && link.type !== 'reference') return;
+    const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
+    const targetId = typeof link.target === 'object' ? link.target.id : link.target;
+    if (!usedBy.has(targetId)) usedBy.set(targetId, new Set());
+    usedBy.get(targetId).add(sourceId);
+  });
+
+  const describeToken = (node) => ({
+    id: node.id,
+    name: node.name,
+    type: node.type,
+    description: node.description || '',
+    values: modes.map(mode => {
+      // The token at the end of the reference chain, when it isn't the token itself
+      const { chain } = resolve(node.id, mode);
+      const primitiveId = chain.length > 1 && nodeMap.has(chain[chain.length - 1]) ? chain[chain.length - 1] : null;
+      const value = getDisplayValue(node, getNode, mode);
+      return {
+        mode,
+        value: value === undefined || value === null ? '' : String(value),
+        swatch: getSwatchColor(node, getNode, mode),
+        primitiveId
+      };
+    }),
+    usedBy: Array.from(usedBy.get(node.id) || []).sort()
+  });
+
+  const columns = organizedGraph.columns || {};
+  const sections = (columns.layerGroups || []).map(layerGroup => ({
+    id: layerGroup.id,
+    name: layerGroup.name,
+    layer: layerGroup.layer,
+    tokens: (columns[layerGroup.layer] || []).filter(isTokenNode).map(describeToken)
+  })).filter(section => section.tokens.length > 0);
+
+  return { modes, sections };
+}
+
+function getModeLabel(mode) {
+  return mode === null ? 'Value' : mode;
+}
+
+// Anchor for a section heading ("layer:primitive" -> "layer-primitive")
+function toAnchor(id) {
+  return id.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function getGeneratedLine(sourceName) {
+  return `Generated by the token visualizer${sourceName ? ` from ${sourceName}` : ''} - do not edit by hand`;
+}
+
+// Markdown has no swatch element, so swatches are small inline SVG images, defined once per color
+// as reference-style links at the end of the file
+function getSwatchImageURL(color) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14"><rect width="14" height="14" rx="3" fill="${color}" stroke="#909199"/></svg>`;
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+// Table cells can't contain pipes or line breaks
+function escapeMarkdownCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function toMarkdownCode(text) {
+  return text ? `\`${escapeMarkdownCell(text).replace(/`/g, "'")}\`` : '';
+}
+
+/**
+ * Generate Markdown docs for an organized graph
+ * Options: { modes, sourceName }; returns { markdown }
+ */
+export function exportGraphToMarkdown(organizedGraph, options = {}) {
+  const { modes, sections } = collectTokenDocs(organizedGraph, options);
+  const tokenCount = sections.reduce((count, section) => count + section.tokens.length, 0);
+
+  const lines = [
+    `# Design tokens${options.sourceName ? `: ${options.sourceName}` : ''}`,
+    '',
+    `_${getGeneratedLine(options.sourceName)}._`,
+    '',
+    `${tokenCount} tokens in ${sections.length} layers${modes[0] !== null ? `, ${modes.length} modes (${modes.join(', ')})` : ''}.`,
+    ''
+  ];
+  sections.forEach(section => {
+    lines.push(`- [${section.name}](#${toAnchor(section.name)}) (${section.tokens.length})`);
+  });
+
+  const swatchLabels = new Map(); // color -> reference label
+  const getSwatchImage = (color) => {
+    if (!swatchLabels.has(color)) swatchLabels.set(color, `swatch-${swatchLabels.size + 1}`);
+    return `![${escapeMarkdownCell(color)}][${swatchLabels.get(color)}]`;
+  };
+
+  sections.forEach(section => {
+    lines.push('', `## ${section.name}`, '');
+    lines.push(`| Token | ${modes.map(mode => escapeMarkdownCell(getModeLabel(mode))).join(' | ')} | Used by | Description |`);
+    lines.push(`| --- | ${modes.map(() => '---').join(' | ')} | --- | --- |`);
+    section.tokens.forEach(token => {
+      const valueCells = token.values.map(({ value, swatch, primitiveId }) => {
+        const parts = [];
+        if (swatch) parts.push(getSwatchImage(swatch));
+        if (value) parts.push(toMarkdownCode(value));
+        if (primitiveId && primitiveId !== value) parts.push(`→ ${toMarkdownCode(primitiveId)}`);
+        return parts.join(' ');
+      });
+      const usedBy = token.usedBy.map(toMarkdownCode).join(', ');
+      lines.push(`| ${toMarkdownCode(token.name)} | ${valueCells.join(' | ')} | ${usedBy} | ${escapeMarkdownCell(token.description)} |`);
+    });
+  });
+
+  if (swatchLabels.size > 0) {
+    lines.push('');
+    swatchLabels.forEach((label, color) => {
+      lines.push(`[${label}]: ${getSwatchImageURL(color)}`);
+    });
+  }
+
+  return { markdown: `${lines.join('\n')}\n` };
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Styles for the HTML docs, matching the visualizer's dark theme
+const HTML_STYLES = `
+  body { margin: 0; padding: 32px 48px; background: #1c1c20; color: #dbdcdf; font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+  h1 { margin: 0 0 4px; color: #ffffff; font-size: 24px; }
+  h2 { margin: 40px 0 12px; color: #ffffff; font-size: 18px; }
+  a { color: #a387ff; }
+  .meta { margin: 0 0 16px; color: #909199; }
+  nav ul { margin: 0; padding-left: 20px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 6px 10px; border-bottom: 1px solid #313137; text-align: left; vertical-align: top; }
+  th { position: sticky; top: 0; background: #222327; color: #909199; font-size: 12px; font-weight: 600; }
+  code { font: 12px ui-monospace, Monaco, Menlo, 'Courier New', monospace; color: #ffffff; }
+  .value { display: flex; align-items: center; gap: 6px; white-space: nowrap; }
+  .primitive { color: #909199; font-size: 12px; }
+  .swatch { flex-shrink: 0; width: 16px; height: 16px; border: 1px solid #3f4048; border-radius: 4px;
+    background-image: linear-gradient(45deg, #3f4048 25%, transparent 25%), linear-gradient(-45deg, #3f4048 25%, transparent 25%),
+      linear-gradient(45deg, transparent 75%, #3f4048 75%), linear-gradient(-45deg, transparent 75%, #3f4048 75%);
+    background-size: 6px 6px; background-position: 0 0, 0 3px, 3px -3px, -3px 0; background-color: #313137; }
+  .swatch span { display: block; width: 100%; height: 100%; border-radius: 3px; }
+  .used-by code { display: inline-block; margin: 0 6px 2px 0; color: #b5b6bb; }
+  .description { color: #b5b6bb; }
+`;
+
+/**
+ * Generate a single-file HTML page of docs for an organized graph
+ * Options: { modes, sourceName }; returns { html }
+ */
+export function exportGraphToHTML(organizedGraph, options = {}) {
+  const { modes, sections } = collectTokenDocs(organizedGraph, options);
+  const tokenCount = sections.reduce((count, section) => count + section.tokens.length, 0);
+  const title = `Design tokens${options.sourceName ? `: ${options.sourceName}` : ''}`;
+
+  const renderValue = ({ value, swatch, primitiveId }) => [
+    '<div class="value">',
+    swatch ? `<span class="swatch"><span style="background-color: ${escapeHTML(swatch)}"></span></span>` : '',
+    value ? `<code>${escapeHTML(value)}</code>` : '',
+    '</div>',
+    primitiveId && primitiveId !== value ? `<div class="primitive">→ <code>${escapeHTML(primitiveId)}</code></div>` : ''
+  ].join('');
+
+  const renderSection = (section) => [
+    `<section id="${toAnchor(section.id)}">`,
+    `<h2>${escapeHTML(section.name)} <span class="meta">(${section.tokens.length})</span></h2>`,
+    '<table>',
+    `<thead><tr><th>Token</th>${modes.map(mode => `<th>${escapeHTML(getModeLabel(mode))}</th>`).join('')}<th>Used by</th><th>Description</th></tr></thead>`,
+    '<tbody>',
+    ...section.tokens.map(token => [
+      `<tr id="${escapeHTML(`token-${token.id}`)}">`,
+      `<td><code>${escapeHTML(token.name)}</code></td>`,
+      ...token.values.map(value => `<td>${renderValue(value)}</td>`),
+      `<td class="used-by">${token.usedBy.map(id => `<a href="#${escapeHTML(`token-${id}`)}"><code>${escapeHTML(id)}</code></a>`).join('')}</td>`,
+      `<td class="description">${escapeHTML(token.description)}</td>`,
+      '</tr>'
+    ].join('')),
+    '</tbody>',
+    '</table>',
+    '</section>'
+  ].join('\n');
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHTML(title)}</title>`,
+    `<style>${HTML_STYLES}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeHTML(title)}</h1>`,
+    `<p class="meta">${escapeHTML(getGeneratedLine(options.sourceName))}. ` +
+      `${tokenCount} tokens in ${sections.length} layers${modes[0] !== null ? `, ${modes.length} modes` : ''}.</p>`,
+    '<nav><ul>',
+    ...sections.map(section => `<li><a href="#${toAnchor(section.id)}">${escapeHTML(section.name)}</a> (${section.tokens.length})</li>`),
+    '</ul></nav>',
+    ...sections.map(renderSection),
+    '</body>',
+    '</html>'
+  ].join('\n');
+
+  return { html: `${html}\n` };
+}
@@ -0,0 +1,26 @@
+/**
+ * Save generated content (reports, exports) as a file in the browser
+ */
+export function downloadFile(content, fileName, mimeType = 'application/json') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Revoke after the click has been handled so the download can start
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * File name stem for files exported from a source ("mana-void-tokens.json" -> "mana-void-tokens", "3 files" -> "3-files")
+ */
+export function toFileStem(sourceName) {
+  const stem = (sourceName || 'tokens')
+    .replace(/\.(json|css|tsx?)$/i, '')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return stem || 'tokens';
+}
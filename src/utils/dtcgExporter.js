@@ -0,0 +1,109 @@
+/**
+ * Export a graph to W3C Design Tokens Community Group (DTCG) format
+ * Token ids become nested groups, references become {alias} values, and the data DTCG has no
+ * place for (layer, per-mode values, version) goes under $extensions in the namespace dtcgParser reads,
+ * so an exported file imports back into the same graph
+ */
+
+import { DTCG_EXTENSION_NAMESPACE } from './dtcgParser';
+import { createAliasResolver } from './aliasResolver';
+import { getReferenceId } from './references';
+import { isTokenNode } from './tokenValues';
+
+// Token types defined by the DTCG spec; other types are kept under $extensions
+const DTCG_TYPES = [
+  'color', 'dimension', 'fontFamily', 'fontWeight', 'duration', 'cubicBezier', 'number',
+  'strokeStyle', 'border', 'transition', 'shadow', 'gradient', 'typography'
+];
+
+// Convert a literal node value back to a DTCG $value (numbers and JSON composites are unwrapped)
+function toLiteralValue(value, type) {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (type === 'number' && /^-?\d*\.?\d+$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  if (/^[[{]/.test(trimmed)) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      return value;
+    }
+  }
+  return value;
+}
+
+// Graph types like "background" or "text" describe what a color is used for; DTCG only knows "color"
+function getDTCGType(node) {
+  if (node.color && node.type !== 'color') return 'color';
+  return DTCG_TYPES.includes(node.type) ? node.type : null;
+}
+
+/**
+ * Convert a graph ({ nodes, links, version }) to a DTCG document
+ * A token's value in a mode is an {alias} when the graph links it to another token in that mode
+ * (or the value names another token), otherwise its literal value; $value holds the default value
+ * Returns { document, skipped } - skipped lists token ids that collide with another token's group path
+ */
+export function exportGraphToDTCG(graph) {
+  const nodes = (graph.nodes || []).filter(isTokenNode);
+  const resolver = createAliasResolver(nodes);
+
+  // source@mode -> target token id
+  const linkTargets = new Map();
+  (graph.links || []).forEach(link => {
+    if (link.type && link.type !== 'reference') return;
+    const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
+    const targetId = typeof link.target === 'object' ? link.target.id : link.target;
+    linkTargets.set(`${sourceId}@${link.mode}`, targetId);
+  });
+
+  const toDTCGValue = (node, value, mode) => {
+    const targetId = linkTargets.get(`${node.id}@${mode}`) || getReferenceId(value, resolver);
+    return targetId && targetId !== node.id ? `{${targetId}}` : toLiteralValue(value, node.type);
+  };
+
+  const document = {};
+  const skipped = [];
+
+  nodes.forEach(node => {
+    const path = node.id.split('.');
+    let group = document;
+    const collides = path.slice(0, -1).some(key => {
+      if (!group[key]) group[key] = {};
+      group = group[key];
+      return '$value' in group;
+    });
+    const tokenKey = path[path.length - 1];
+    if (collides || group[tokenKey]) {
+      skipped.push(node.id);
+      return;
+    }
+
+    const token = { $value: toDTCGValue(node, node.value, undefined) };
+    const type = getDTCGType(node);
+    if (type) token.$type = type;
+    if (node.description) token.$description = node.description;
+
+    const extension = { layer: node.layer };
+    if (node.type && node.type !== type) {
+      extension.type = node.type;
+    }
+    if (node.modes && Object.keys(node.modes).length > 0) {
+      extension.modes = {};
+      Object.keys(node.modes).forEach(mode => {
+        extension.modes[mode] = toDTCGValue(node, node.modes[mode], mode);
+      });
+    }
+    if (node.version) extension.version = node.version;
+    token.$extensions = { [DTCG_EXTENSION_NAMESPACE]: extension };
+
+    group[tokenKey] = token;
+  });
+
+  if (graph.version) {
+    document.$extensions = { [DTCG_EXTENSION_NAMESPACE]: { version: graph.version } };
+  }
+
+  return { document, skipped };
+}
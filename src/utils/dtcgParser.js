@@ -0,0 +1,263 @@
+/**
+ * Parser for W3C Design Tokens Community Group (DTCG) format files
+ * Tokens are objects with a $value; groups may set $type (and $extensions) that children inherit
+ * References use the {group.token} alias syntax
+ */
+
+import { isColorValue, rgbaFloatToString, resolveReferenceColor } from './colorUtils';
+import { matchLayerRule } from './layerRules';
+
+// Namespace used for visualizer-specific data (layer, type, modes, version) under $extensions
+export const DTCG_EXTENSION_NAMESPACE = 'com.hardwater.teardrop';
+
+// Mode name used for aliases in files that don't define modes
+const DEFAULT_MODE = 'default';
+
+const ALIAS_PATTERN = /\{([^{}]+)\}/g;
+
+/**
+ * Check if parsed JSON looks like a DTCG document (any nested object with a $value)
+ */
+export function isDTCGFormat(jsonData) {
+  const visit = (obj, depth) => {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj) || depth > 20) return false;
+    if ('$value' in obj) return true;
+    return Object.keys(obj).some(key => visit(obj[key], depth + 1));
+  };
+  return visit(jsonData, 0);
+}
+
+// Read our namespaced extension data, falling back to any namespace that carries a layer
+function getExtensionData(extensions) {
+  if (!extensions || typeof extensions !== 'object') return {};
+  if (extensions[DTCG_EXTENSION_NAMESPACE] && typeof extensions[DTCG_EXTENSION_NAMESPACE] === 'object') {
+    return extensions[DTCG_EXTENSION_NAMESPACE];
+  }
+  const withLayer = Object.values(extensions).find(ext => ext && typeof ext === 'object' && typeof ext.layer === 'string');
+  return withLayer || {};
+}
+
+// Convert a DTCG color object ({ colorSpace, components, alpha, hex }) to a CSS color string
+function colorObjectToString(color) {
+  if (typeof color.hex === 'string' && (color.alpha === undefined || color.alpha >= 1)) {
+    return color.hex.toLowerCase();
+  }
+  if (Array.isArray(color.components) && (!color.colorSpace || color.colorSpace === 'srgb')) {
+    const [r, g, b] = color.components;
+    return rgbaFloatToString({ r, g, b, a: color.alpha });
+  }
+  return color.hex || null;
+}
+
+/**
+ * Normalize a DTCG $value to the string form used by graph nodes
+ * Aliases are kept as-is; dimension and color objects are flattened; other composites become JSON
+ */
+function normalizeValue(rawValue, type) {
+  if (rawValue === null || rawValue === undefined) return null;
+  if (typeof rawValue === 'string') return rawValue;
+  if (typeof rawValue === 'number' || typeof rawValue === 'boolean') return String(rawValue);
+  if (typeof rawValue === 'object' && !Array.isArray(rawValue)) {
+    if (type === 'color' || 'colorSpace' in rawValue || 'components' in rawValue) {
+      const color = colorObjectToString(rawValue);
+      if (color) return color;
+    }
+    if ('value' in rawValue && 'unit' in rawValue) {
+      return `${rawValue.value}${rawValue.unit}`;
+    }
+  }
+  return JSON.stringify(rawValue);
+}
+
+/**
+ * Strip the braces from a whole-value alias ("{color.blue.500}" -> "color.blue.500")
+ */
+export function getWholeAlias(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^\{([^{}]+)\}$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Collect every alias path referenced by a value, including aliases nested in composite values
+ */
+export function collectAliases(rawValue) {
+  const aliases = new Set();
+  const visit = (val) => {
+    if (typeof val === 'string') {
+      for (const match of val.matchAll(ALIAS_PATTERN)) {
+        aliases.add(match[1]);
+      }
+    } else if (val && typeof val === 'object') {
+      Object.values(val).forEach(visit);
+    }
+  };
+  visit(rawValue);
+  return Array.from(aliases);
+}
+
+/**
+ * Convert a DTCG document to graph format
+ * Layer comes from $extensions (token or group level), then options.layerRules,
+ * then falls back to "primitive" for literal values and "semantic" for aliases
+ */
+export function convertDTCGToGraph(dtcgData, options = {}) {
+  const { layerRules = [] } = options;
+  const nodes = [];
+  const links = [];
+  const tokenMap = new Map();
+  const rawValues = new Map(); // tokenPath -> { value, modes } raw $values, used to build links
+  const allModes = new Set();
+  const aliasesWithoutModes = [];
+
+  function flattenTokens(obj, path = [], inherited = { type: null, layer: null, version: null }) {
+    Object.keys(obj).forEach(key => {
+      if (key.startsWith('$')) return;
+      const value = obj[key];
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+
+      const currentPath = [...path, key];
+      const tokenPath = currentPath.join('.');
+      const extension = getExtensionData(value.$extensions);
+
+      if (!('$value' in value)) {
+        // Group: pass down $type and extension layer/version to children
+        flattenTokens(value, currentPath, {
+          type: value.$type || inherited.type,
+          layer: extension.layer || inherited.layer,
+          version: extension.version || inherited.version
+        });
+        return;
+      }
+
+      // Graph types DTCG has no $type for (e.g. "background") are kept under $extensions
+      const tokenType = extension.type || value.$type || inherited.type || 'color';
+      const defaultValue = normalizeValue(value.$value, tokenType);
+      const isAlias = collectAliases(value.$value).length > 0;
+      // An $extensions layer (on the token or a parent group) wins over the path rules
+      const layer = extension.layer ||
+        inherited.layer ||
+        matchLayerRule(tokenPath, layerRules) ||
+        (isAlias ? 'semantic' : 'primitive');
+
+      // Per-mode values live under our extension namespace: { modes: { dark: "{color.x}" } }
+      const modes = {};
+      const rawModes = {};
+      if (extension.modes && typeof extension.modes === 'object') {
+        Object.keys(extension.modes).forEach(modeName => {
+          rawModes[modeName] = extension.modes[modeName];
+          modes[modeName] = normalizeValue(extension.modes[modeName], tokenType);
+          allModes.add(modeName);
+        });
+      } else if (isAlias) {
+        // Aliases without explicit modes apply to every mode; filled in once all modes are known
+        aliasesWithoutModes.push(tokenPath);
+      }
+
+      const token = {
+        id: tokenPath,
+        name: tokenPath,
+        type: tokenType,
+        layer: layer,
+        value: getWholeAlias(defaultValue) || defaultValue,
+        description: value.$description || '',
+        modes: Object.keys(modes).length > 0 ? modes : undefined
+      };
+
+      // Store whole-value aliases without braces so they match the reference format used elsewhere
+      if (token.modes) {
+        Object.keys(token.modes).forEach(modeName => {
+          token.modes[modeName] = getWholeAlias(token.modes[modeName]) || token.modes[modeName];
+        });
+      }
+
+      const version = extension.version || inherited.version;
+      if (version && typeof version === 'string') {
+        token.version = version;
+      }
+
+      if (isColorValue(token.value)) {
+        token.color = token.value;
+      }
+
+      tokenMap.set(tokenPath, token);
+      rawValues.set(tokenPath, { value: value.$value, modes: rawModes });
+      nodes.push(token);
+    });
+  }
+
+  flattenTokens(dtcgData);
+
+  // Give mode-less aliases the same value in every mode (or a single default mode) so their links render
+  if (aliasesWithoutModes.length > 0 && allModes.size === 0) {
+    allModes.add(DEFAULT_MODE);
+  }
+  aliasesWithoutModes.forEach(tokenPath => {
+    const token = tokenMap.get(tokenPath);
+    const raw = rawValues.get(tokenPath);
+    token.modes = {};
+    allModes.forEach(modeName => {
+      token.modes[modeName] = token.value;
+      raw.modes[modeName] = raw.value;
+    });
+  });
+
+  nodes.forEach(node => {
+    if (!node.color) {
+      const firstMode = node.modes ? (node.modes[DEFAULT_MODE] !== undefined ? DEFAULT_MODE : Object.keys(node.modes)[0]) : null;
+      const resolved = resolveReferenceColor(tokenMap, node.id, firstMode);
+      if (resolved) {
+        node.color = resolved;
+      }
+    }
+  });
+
+  // Build reference links from every alias, per mode
+  const linkKeys = new Set();
+  nodes.forEach(node => {
+    const raw = rawValues.get(node.id);
+    const modeEntries = Object.keys(raw.modes).length > 0
+      ? Object.entries(raw.modes)
+      : [[undefined, raw.value]];
+
+    modeEntries.forEach(([mode, modeValue]) => {
+      collectAliases(modeValue).forEach(aliasPath => {
+        const linkKey = `${node.id}->${aliasPath}@${mode}`;
+        if (tokenMap.has(aliasPath) && !linkKeys.has(linkKey)) {
+          linkKeys.add(linkKey);
+          links.push({
+            source: node.id,
+            target: aliasPath,
+            type: 'reference',
+            mode: mode
+          });
+        }
+      });
+    });
+  });
+
+  // Root-level version under $extensions, otherwise the most common token version
+  const rootExtension = getExtensionData(dtcgData.$extensions);
+  const versionCounts = new Map();
+  nodes.forEach(node => {
+    if (node.version) {
+      versionCounts.set(node.version, (versionCounts.get(node.version) || 0) + 1);
+    }
+  });
+  let version = typeof rootExtension.version === 'string' ? rootExtension.version : null;
+  if (!version && versionCounts.size > 0) {
+    version = Array.from(versionCounts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+  }
+  const allVersions = new Set(versionCounts.keys());
+  if (version) {
+    allVersions.add(version);
+  }
+
+  return {
+    nodes,
+    links,
+    availableModes: Array.from(allModes).sort(),
+    version: version,
+    allVersions: Array.from(allVersions).sort()
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * Duplicate values: primitives with the same resolved value, and colors that look alike
+ * Exact duplicates compare every mode's resolved value (colors by their channels, so #FFF equals
+ * #ffffff). Near-duplicates are colors within a perceptual distance (CIEDE2000 or OKLab ΔE) in every
+ * mode. Translucent colors (the opacity.* ramps) are compared composited onto white and onto black,
+ * so two colors only count as near-duplicates when they look alike on both
+ */
+
+import { createValueResolver } from './tokenValues';
+import { parseColor, srgbToLinear, blendColors } from './colorUtils';
+
+export const COLOR_DISTANCE_METRICS = [
+  { id: 'ciede2000', name: 'CIEDE2000' },
+  { id: 'oklab', name: 'OKLab' }
+];
+
+// threshold is in ΔE units; OKLab distances are scaled by 100 so both metrics use similar numbers
+export const DEFAULT_DUPLICATE_CONFIG = { metric: 'ciede2000', threshold: 2 };
+
+const WHITE = { r: 255, g: 255, b: 255, a: 1 };
+const BLACK = { r: 0, g: 0, b: 0, a: 1 };
+
+// D65 reference white for CIELAB
+const WHITE_POINT = { x: 0.95047, y: 1, z: 1.08883 };
+
+/**
+ * CIELAB (D65) coordinates of an opaque { r, g, b } color
+ */
+export function toLab({ r, g, b }) {
+  const red = srgbToLinear(r);
+  const green = srgbToLinear(g);
+  const blue = srgbToLinear(b);
+  const x = (0.4124564 * red + 0.3575761 * green + 0.1804375 * blue) / WHITE_POINT.x;
+  const y = (0.2126729 * red + 0.7151522 * green + 0.0721750 * blue) / WHITE_POINT.y;
+  const z = (0.0193339 * red + 0.1191920 * green + 0.9503041 * blue) / WHITE_POINT.z;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  return { L: 116 * f(y) - 16, a: 500 * (f(x) - f(y)), b: 200 * (f(y) - f(z)) };
+}
+
+/**
+ * OKLab coordinates of an opaque { r, g, b } color
+ */
+export function toOKLab({ r, g, b }) {
+  const red = srgbToLinear(r);
+  const green = srgbToLinear(g);
+  const blue = srgbToLinear(b);
+  const l = Math.cbrt(0.4122214708 * red + 0.5363325363 * green + 0.0514459929 * blue);
+  const m = Math.cbrt(0.2119034982 * red + 0.6806995451 * green + 0.1073969566 * blue);
+  const s = Math.cbrt(0.0883024619 * red + 0.2817188376 * green + 0.6299787005 * blue);
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Hue angle in degrees (0-360) of a CIELAB a/b pair
+function getHue(b, a) {
+  if (a === 0 && b === 0) return 0;
+  const hue = Math.atan2(b, a) * 180 / Math.PI;
+  return hue < 0 ? hue + 360 : hue;
+}
+
+/**
+ * CIEDE2000 color difference of two CIELAB colors
+ */
+export function getDeltaE2000(lab1, lab2) {
+  const chroma1 = Math.hypot(lab1.a, lab1.b);
+  const chroma2 = Math.hypot(lab2.a, lab2.b);
+  const meanChroma7 = Math.pow((chroma1 + chroma2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(meanChroma7 / (meanChroma7 + Math.pow(25, 7))));
+  const a1 = (1 + g) * lab1.a;
+  const a2 = (1 + g) * lab2.a;
+  const c1 = Math.hypot(a1, lab1.b);
+  const c2 = Math.hypot(a2, lab2.b);
+  const h1 = getHue(lab1.b, a1);
+  const h2 = getHue(lab2.b, a2);
+
+  let deltaHue = 0;
+  if (c1 * c2 !== 0) {
+    deltaHue = h2 - h1;
+    if (deltaHue > 180) deltaHue -= 360;
+    else if (deltaHue < -180) deltaHue += 360;
+  }
+  const deltaL = lab2.L - lab1.L;
+  const deltaC = c2 - c1;
+  const deltaH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltaHue / 2));
+
+  const meanL = (lab1.L + lab2.L) / 2;
+  const meanC = (c1 + c2) / 2;
+  let meanHue = h1 + h2;
+  if (c1 * c2 !== 0) {
+    if (Math.abs(h1 - h2) <= 180) meanHue = (h1 + h2) / 2;
+    else if (h1 + h2 < 360) meanHue = (h1 + h2 + 360) / 2;
+    else meanHue = (h1 + h2 - 360) / 2;
+  }
+
+  const t = 1 -
+    0.17 * Math.cos(toRadians(meanHue - 30)) +
+    0.24 * Math.cos(toRadians(2 * meanHue)) +
+    0.32 * Math.cos(toRadians(3 * meanHue + 6)) -
+    0.20 * Math.cos(toRadians(4 * meanHue - 63));
+  const deltaTheta = 30 * Math.exp(-Math.pow((meanHue - 275) / 25, 2));
+  const meanC7 = Math.pow(meanC, 7);
+  const rotation = -Math.sin(toRadians(2 * deltaTheta)) * 2 * Math.sqrt(meanC7 / (meanC7 + Math.pow(25, 7)));
+  const weightL = 1 + (0.015 * Math.pow(meanL - 50, 2)) / Math.sqrt(20 + Math.pow(meanL - 50, 2));
+  const weightC = 1 + 0.045 * meanC;
+  const weightH = 1 + 0.015 * meanC * t;
+
+  const termL = deltaL / weightL;
+  const termC = deltaC / weightC;
+  const termH = deltaH / weightH;
+  return Math.sqrt(termL * termL + termC * termC + termH * termH + rotation * termC * termH);
+}
+
+/**
+ * OKLab color difference of two OKLab colors, scaled by 100 to the range of CIEDE2000
+ */
+export function getDeltaEOK(lab1, lab2) {
+  return Math.hypot(lab1.L - lab2.L, lab1.a - lab2.a, lab1.b - lab2.b) * 100;
+}
+
+// Lower bound on a distance from the lightness difference alone, so the pair search can skip
+// colors far apart in lightness: CIEDE2000 divides ΔL by at most 1.75, OKLab is scaled by 100
+const LIGHTNESS_BOUNDS = { ciede2000: 1.75, oklab: 0.01 };
+
+// A color's coordinates in the metric's space, composited onto white and onto black
+function toPoints(color, metric) {
+  const convert = metric === 'oklab' ? toOKLab : toLab;
+  if (color.a >= 1) {
+    const point = convert(color);
+    return { opaque: true, points: [point, point] };
+  }
+  return { opaque: false, points: [convert(blendColors(color, WHITE)), convert(blendColors(color, BLACK))] };
+}
+
+// Distance of two toPoints results: the larger of the white and black composites
+function getPointsDistance(first, second, metric) {
+  const distance = metric === 'oklab' ? getDeltaEOK : getDeltaE2000;
+  const onWhite = distance(first.points[0], second.points[0]);
+  if (first.opaque && second.opaque) return onWhite;
+  return Math.max(onWhite, distance(first.points[1], second.points[1]));
+}
+
+// Comparable form of a value: colors by their channels, anything else as trimmed lowercase text
+function toValueKey(value, color) {
+  if (color) {
+    return `rgba(${Math.round(color.r)},${Math.round(color.g)},${Math.round(color.b)},${Math.round(color.a * 1000) / 1000})`;
+  }
+  return String(value).trim().toLowerCase();
+}
+
+/**
+ * Find duplicate and near-duplicate primitives
+ * Returns clusters [{ kind, members, distance }]: kind is 'exact' (same value in every mode) or 'near'
+ * (colors within config.threshold of every other color in the cluster), members are [{ tokenId, value }] with the
+ * value in the first mode, and distance is the largest difference within the cluster (0 for exact).
+ * Exact clusters come first, largest first; near clusters follow, closest first
+ */
+export function findDuplicateValues(graph, config = DEFAULT_DUPLICATE_CONFIG) {
+  const { nodes, resolve } = createValueResolver(graph);
+  const modes = graph.availableModes && graph.availableModes.length > 0 ? graph.availableModes : [null];
+  const metric = config.metric || DEFAULT_DUPLICATE_CONFIG.metric;
+  const threshold = Number(config.threshold) || 0;
+
+  // Group primitives by the resolved values in every mode
+  const groups = new Map(); // value key -> { members, colors }
+  nodes.filter(node => node.layer === 'primitive').forEach(node => {
+    const values = modes.map(mode => resolve(node.id, mode).value);
+    if (values.some(value => value === undefined || value === null || value === '')) return;
+    const colors = values.map(parseColor);
+    const keys = values.map((value, index) => toValueKey(value, colors[index]));
+    const key = keys.join('|');
+    if (!groups.has(key)) {
+      // One color when the value is the same in every mode, otherwise a color per mode
+      const modeColors = new Set(keys).size === 1 ? [colors[0]] : colors;
+      groups.set(key, { members: [], colors: colors.every(Boolean) ? modeColors : null });
+    }
+    groups.get(key).members.push({ tokenId: node.id, value: values[0] });
+  });
+
+  const clusters = [];
+  groups.forEach(group => {
+    if (group.members.length > 1) clusters.push({ kind: 'exact', members: group.members, distance: 0 });
+  });
+
+  // Near-duplicates: link distinct color values within the threshold in every mode
+  const colorGroups = Array.from(groups.values()).filter(group => group.colors);
+  if (threshold > 0 && colorGroups.length > 1) {
+    const points = colorGroups.map(group => group.colors.map(color => toPoints(color, metric)));
+    const getDistance = (i, j) => {
+      const count = Math.max(points[i].length, points[j].length);
+      let distance = 0;
+      for (let index = 0; index < count; index++) {
+        const first = points[i][Math.min(index, points[i].length - 1)];
+        const second = points[j][Math.min(index, points[j].length - 1)];
+        distance = Math.max(distance, getPointsDistance(first, second, metric));
+      }
+      return distance;
+    };
+
+    // Visit colors by lightness (on white, in the first mode) and stop once the gap rules out a match
+    const lightness = points.map(modePoints => modePoints[0].points[0].L);
+    const byLightness = colorGroups.map((_, index) => index).sort((a, b) => lightness[a] - lightness[b]);
+    const maxLightnessGap = threshold * LIGHTNESS_BOUNDS[metric];
+    const pairs = []; // [{ i, j, distance }] within the threshold
+    const neighbors = colorGroups.map(() => new Set());
+    byLightness.forEach((i, position) => {
+      for (let next = position + 1; next < byLightness.length; next++) {
+        const j = byLightness[next];
+        if (lightness[j] - lightness[i] > maxLightnessGap) break;
+        const distance = getDistance(i, j);
+        if (distance > threshold) continue;
+        pairs.push({ i, j, distance });
+        neighbors[i].add(j);
+        neighbors[j].add(i);
+      }
+    });
+
+    // Complete linkage: merge the closest pairs first, and only when every color of one cluster is
+    // within the threshold of every color of the other, so clusters don't chain past the threshold
+    const clusterOf = colorGroups.map((_, index) => index);
+    const components = new Map(colorGroups.map((_, index) => [index, [index]])); // cluster -> group indexes
+    pairs.sort((a, b) => a.distance - b.distance).forEach(({ i, j }) => {
+      const first = clusterOf[i];
+      const second = clusterOf[j];
+      if (first === second) return;
+      const merged = components.get(second);
+      if (!components.get(first).every(a => merged.every(b => neighbors[a].has(b)))) return;
+      merged.forEach(index => { clusterOf[index] = first; });
+      components.get(first).push(...merged);
+      components.delete(second);
+    });
+
+    components.forEach(indexes => {
+      if (indexes.length < 2) return;
+      let distance = 0;
+      indexes.forEach((i, position) => {
+        indexes.slice(position + 1).forEach(j => {
+          distance = Math.max(distance, getDistance(i, j));
+        });
+      });
+      clusters.push({ kind: 'near', members: indexes.flatMap(index => colorGroups[index].members), distance });
+    });
+  }
+
+  return clusters.sort((a, b) =>
+    (a.kind === b.kind ? 0 : a.kind === 'exact' ? -1 : 1) ||
+    (a.kind === 'exact' ? b.members.length - a.members.length : a.distance - b.distance)
+  );
+}
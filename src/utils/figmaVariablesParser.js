@@ -0,0 +1,270 @@
+/**
+ * Parser for Figma Variables REST API exports (GET /v1/files/:key/variables/local)
+ * Variables live in meta.variables and meta.variableCollections (or at the root of the file)
+ * Each collection becomes a layer and each collection mode name becomes a mode;
+ * { type: 'VARIABLE_ALIAS', id } values become reference links
+ */
+
+import { isColorValue, rgbaFloatToString, resolveReferenceColor } from './colorUtils';
+import { DIAGNOSTIC_KINDS, createDiagnostic } from './diagnostics';
+
+// Map Figma resolved types to the token types used by graph nodes
+const TYPE_MAP = {
+  COLOR: 'color',
+  FLOAT: 'number',
+  STRING: 'string',
+  BOOLEAN: 'boolean'
+};
+
+// The REST response nests variables under "meta"; saved exports sometimes strip it
+function getVariablesRoot(jsonData) {
+  if (jsonData && jsonData.meta && typeof jsonData.meta === 'object') return jsonData.meta;
+  return jsonData;
+}
+
+// Collections and variables may be keyed by id (REST) or given as arrays (plugin exports)
+function toList(collection) {
+  if (Array.isArray(collection)) return collection;
+  return Object.keys(collection).map(id => ({ id, ...collection[id] }));
+}
+
+/**
+ * Check if parsed JSON looks like a Figma Variables export
+ */
+export function isFigmaVariablesFormat(jsonData) {
+  if (!jsonData || typeof jsonData !== 'object') return false;
+  const root = getVariablesRoot(jsonData);
+  return Boolean(root.variables && typeof root.variables === 'object' &&
+    root.variableCollections && typeof root.variableCollections === 'object');
+}
+
+/**
+ * Convert a Figma variable name to a token id (e.g. "color/blue/1" -> "color.blue.1")
+ */
+export function figmaVariableNameToTokenId(name) {
+  return name
+    .split('/')
+    .map(segment => segment.trim().replace(/\s+/g, '-'))
+    .filter(Boolean)
+    .join('.');
+}
+
+function isAlias(value) {
+  return value && typeof value === 'object' && value.type === 'VARIABLE_ALIAS';
+}
+
+// Convert a literal Figma value to the string form used by graph nodes
+function normalizeValue(value, resolvedType) {
+  if (value === null || value === undefined) return null;
+  if (resolvedType === 'COLOR' && typeof value === 'object') {
+    return rgbaFloatToString(value);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Convert a Figma Variables export to graph format
+ * Options: { collectionLayers } - map of collection name -> layer (defaults to the collection name)
+ * Collections with a single mode have no theming, so their values apply to every mode
+ */
+export function convertFigmaVariablesToGraph(jsonData, options = {}) {
+  const { collectionLayers = {} } = options;
+  const root = getVariablesRoot(jsonData);
+
+  const collections = toList(root.variableCollections);
+  const collectionsById = new Map(collections.map(collection => [collection.id, collection]));
+  const variables = toList(root.variables);
+  const variablesById = new Map(variables.map(variable => [variable.id, variable]));
+
+  if (variables.length === 0) {
+    throw new Error('No Figma variables found');
+  }
+
+  // Keep the order variables appear in their collections, then any variables not listed there
+  const orderedIds = [];
+  const seenIds = new Set();
+  collections.forEach(collection => {
+    (collection.variableIds || []).forEach(variableId => {
+      if (variablesById.has(variableId) && !seenIds.has(variableId)) {
+        seenIds.add(variableId);
+        orderedIds.push(variableId);
+      }
+    });
+  });
+  variables.forEach(variable => {
+    if (!seenIds.has(variable.id)) {
+      seenIds.add(variable.id);
+      orderedIds.push(variable.id);
+    }
+  });
+
+  const diagnostics = [];
+
+  // Token ids come from variable names, which are only unique within a collection: when collections
+  // share a name (color/primary in "Brand" and "Product"), those ids get the collection as a prefix
+  const getNameId = (variableId) => figmaVariableNameToTokenId(variablesById.get(variableId).name || variableId);
+  const collectionsByNameId = new Map(); // name id -> Set of collection ids using it
+  orderedIds.forEach(variableId => {
+    const nameId = getNameId(variableId);
+    if (!collectionsByNameId.has(nameId)) collectionsByNameId.set(nameId, new Set());
+    collectionsByNameId.get(nameId).add(variablesById.get(variableId).variableCollectionId);
+  });
+
+  const tokenIdsByVariableId = new Map();
+  orderedIds.forEach(variableId => {
+    const variable = variablesById.get(variableId);
+    const nameId = getNameId(variableId);
+    if (collectionsByNameId.get(nameId).size < 2) {
+      tokenIdsByVariableId.set(variableId, nameId);
+      return;
+    }
+    const collection = collectionsById.get(variable.variableCollectionId);
+    const collectionName = collection && collection.name ? collection.name : variable.variableCollectionId || 'variables';
+    const tokenId = `${figmaVariableNameToTokenId(collectionName)}.${nameId}`;
+    tokenIdsByVariableId.set(variableId, tokenId);
+    diagnostics.push(createDiagnostic(
+      DIAGNOSTIC_KINDS.DUPLICATE_ID,
+      'warning',
+      `${variable.name} exists in more than one collection; the one in ${collectionName} was imported as ${tokenId}`,
+      { tokenId, value: variable.name }
+    ));
+  });
+
+  // Mode names come from multi-mode collections; single-mode collections fill every one of them
+  const themedModes = [];
+  collections.forEach(collection => {
+    const modes = collection.modes || [];
+    if (modes.length > 1) {
+      modes.forEach(mode => {
+        if (!themedModes.includes(mode.name)) themedModes.push(mode.name);
+      });
+    }
+  });
+
+  const getModeName = (collection, modeId) => {
+    const mode = (collection.modes || []).find(m => m.modeId === modeId);
+    return mode ? mode.name : modeId;
+  };
+
+  const nodes = [];
+  const tokenMap = new Map();
+  const aliasesByToken = new Map(); // tokenId -> { mode: target tokenId }
+
+  orderedIds.forEach(variableId => {
+    const variable = variablesById.get(variableId);
+    const tokenId = tokenIdsByVariableId.get(variableId);
+    const collection = collectionsById.get(variable.variableCollectionId) || { name: 'variables', modes: [] };
+    const valuesByMode = variable.valuesByMode || {};
+    const collectionModes = collection.modes || [];
+    const isThemed = collectionModes.length > 1;
+
+    // Default mode value first, so it becomes the node's value
+    const modeIds = Object.keys(valuesByMode).sort((a, b) => {
+      return (b === collection.defaultModeId) - (a === collection.defaultModeId);
+    });
+
+    const values = {};
+    const aliases = {};
+    modeIds.forEach(modeId => {
+      const rawValue = valuesByMode[modeId];
+      const targetModes = isThemed || themedModes.length === 0
+        ? [getModeName(collection, modeId)]
+        : themedModes;
+
+      let value;
+      if (isAlias(rawValue)) {
+        const targetId = tokenIdsByVariableId.get(rawValue.id);
+        if (!targetId) {
+          diagnostics.push(createDiagnostic(
+            DIAGNOSTIC_KINDS.UNRESOLVED_REFERENCE,
+            'error',
+            `${variable.name} references variable ${rawValue.id}, which is not in the export`,
+            { tokenId, mode: getModeName(collection, modeId), value: rawValue.id }
+          ));
+        }
+        value = targetId || rawValue.id;
+      } else {
+        value = normalizeValue(rawValue, variable.resolvedType);
+      }
+
+      targetModes.forEach(modeName => {
+        if (values[modeName] !== undefined) return;
+        values[modeName] = value;
+        if (isAlias(rawValue) && tokenIdsByVariableId.has(rawValue.id)) {
+          aliases[modeName] = value;
+        }
+      });
+    });
+
+    const modeValues = Object.values(values);
+    const hasAlias = Object.keys(aliases).length > 0;
+    const isConstant = modeValues.every(value => value === modeValues[0]);
+
+    const token = {
+      id: tokenId,
+      name: tokenId,
+      originalName: variable.name,
+      type: TYPE_MAP[variable.resolvedType] || 'unknown',
+      layer: collectionLayers[collection.name] || collection.name,
+      value: modeValues.length > 0 ? modeValues[0] : null,
+      description: variable.description || ''
+    };
+
+    // Literals shared by every mode have no modes; aliases and themed values are stored per mode
+    if (modeValues.length > 0 && (hasAlias || !isConstant)) {
+      token.modes = values;
+    }
+
+    if (isColorValue(token.value)) {
+      token.color = token.value;
+    }
+
+    tokenMap.set(tokenId, token);
+    aliasesByToken.set(tokenId, aliases);
+    nodes.push(token);
+  });
+
+  nodes.forEach(node => {
+    if (!node.color) {
+      const firstMode = node.modes ? Object.keys(node.modes)[0] : null;
+      const resolved = resolveReferenceColor(tokenMap, node.id, firstMode);
+      if (resolved) {
+        node.color = resolved;
+      }
+    }
+  });
+
+  // Build reference links for every VARIABLE_ALIAS, per mode
+  const links = [];
+  nodes.forEach(node => {
+    const aliases = aliasesByToken.get(node.id);
+    Object.keys(aliases).forEach(mode => {
+      if (aliases[mode] !== node.id) {
+        links.push({
+          source: node.id,
+          target: aliases[mode],
+          type: 'reference',
+          mode: mode
+        });
+      }
+    });
+  });
+
+  const usedModes = new Set();
+  nodes.forEach(node => {
+    if (node.modes) Object.keys(node.modes).forEach(mode => usedModes.add(mode));
+  });
+  const availableModes = themedModes.length > 0
+    ? themedModes.filter(mode => usedModes.has(mode))
+    : Array.from(usedModes);
+
+  return {
+    nodes,
+    links,
+    availableModes,
+    version: null,
+    allVersions: [],
+    diagnostics
+  };
+}
@@ -1,13 +1,27 @@
 /**
- * Utility functions to parse JSON files and convert them to graph format
- * Only handles Style Dictionary format JSON files with explicit layer properties
+ * Utility functions to parse token files and convert them to graph format
+ * Handles Style Dictionary format JSON files with explicit layer properties,
+ * W3C DTCG format files ($value/$type), Tokens Studio multi-set exports, Figma Variables exports,
+ * CSS custom properties and TS/TSX token modules
  */
 
+import { isDTCGFormat, convertDTCGToGraph } from './dtcgParser';
+import { parseCSSFile } from './cssParser';
+import { parseTSXSources } from './tsxParser';
+import { isTokensStudioFormat, convertTokensStudioToGraph } from './tokensStudioParser';
+import { isFigmaVariablesFormat, convertFigmaVariablesToGraph } from './figmaVariablesParser';
+import { mergeGraphs } from './graphMerge';
+import { createAliasResolver } from './aliasResolver';
+import { getReferenceId } from './references';
+import { DIAGNOSTIC_KINDS, createDiagnostic, toJSONPath, collectGraphDiagnostics, collectAliasDiagnostics } from './diagnostics';
+
 /**
  * Parse a JSON file and convert it to graph format
- * Supports Style Dictionary format (nested structure with layer properties)
+ * Supports DTCG format and Style Dictionary format (nested structure with layer properties)
+ * Options: { layerRules } - path-based layer rules for formats without explicit layers,
+ *          { aliasRules, aliasPrefixes } - how Style Dictionary references are matched to token ids (see aliasResolver.js)
  */
-export function parseJSONFile(jsonData) {
+export function parseJSONFile(jsonData, options = {}) {
   try {
     // Validate input
     if (!jsonData || typeof jsonData !== 'object') {
@@ -36,14 +50,25 @@ export function parseJSONFile(jsonData) {
       };
     }
 
-    // Style Dictionary format (nested structure with layer properties)
-    const graph = convertStyleDictionaryToGraph(jsonData);
+    // Figma Variables export, Tokens Studio multi-set export, DTCG format ($value/$type)
+    // or Style Dictionary format (nested structure with layer properties)
+    let graph;
+    if (isFigmaVariablesFormat(jsonData)) {
+      graph = convertFigmaVariablesToGraph(jsonData, options);
+    } else if (isTokensStudioFormat(jsonData)) {
+      graph = convertTokensStudioToGraph(jsonData, options);
+    } else if (isDTCGFormat(jsonData)) {
+      graph = convertDTCGToGraph(jsonData, options);
+    } else {
+      graph = convertStyleDictionaryToGraph(jsonData, options);
+    }
     return {
       nodes: graph.nodes || [],
       links: graph.links || [],
       availableModes: graph.availableModes || extractModesFromGraph(graph),
       version: version || graph.version || null,
-      allVersions: graph.allVersions || (version ? [version] : [])
+      allVersions: graph.allVersions || (version ? [version] : []),
+      diagnostics: graph.diagnostics || []
     };
   } catch (error) {
     throw new Error(`Failed to parse JSON: ${error.message}`);
@@ -77,11 +102,22 @@ function extractModesFromGraph(graph) {
  * Convert Style Dictionary format to graph format
  * Uses explicit layer properties from JSON - no fallback to name-based detection
  */
-function convertStyleDictionaryToGraph(sdData) {
+function convertStyleDictionaryToGraph(sdData, options = {}) {
   const nodes = [];
   const links = [];
   const tokenMap = new Map();
   const allModes = new Set(); // Collect all unique modes from mode fields
+  const diagnostics = [];
+
+  // Tokens without a layer can't be placed in a column, so they are left out and reported
+  function reportSkippedToken(keys, reason) {
+    diagnostics.push(createDiagnostic(
+      DIAGNOSTIC_KINDS.SKIPPED_TOKEN,
+      'warning',
+      `Token ${keys.join('.')} skipped: ${reason}`,
+      { path: toJSONPath(keys) }
+    ));
+  }
 
   // Check if an object contains mode entries (keys are mode names and values have 'value' and 'mode' properties)
   function isModeContainer(obj) {
@@ -144,7 +180,7 @@ function convertStyleDictionaryToGraph(sdData) {
           const layer = value.layer || parentLayer;
           
           if (!layer) {
-            console.warn(`Token ${tokenPath} has no layer property and no parent layer. Skipping.`);
+            reportSkippedToken(currentPath, 'no layer property and no parent layer');
             return;
           }
           
@@ -201,7 +237,7 @@ function convertStyleDictionaryToGraph(sdData) {
           const layer = value.layer || parentLayer;
           
           if (!layer) {
-            console.warn(`Token ${tokenPath} has no layer property and no parent layer. Skipping.`);
+            reportSkippedToken(currentPath, 'no layer property and no parent layer');
             return;
           }
           
@@ -259,7 +295,7 @@ function convertStyleDictionaryToGraph(sdData) {
           const layer = value.layer || parentLayer;
           
           if (!layer) {
-            console.warn(`Token ${tokenPath} has no layer property and no parent layer. Skipping.`);
+            reportSkippedToken(currentPath, 'no layer property and no parent layer');
             return;
           }
           
@@ -279,6 +315,7 @@ function convertStyleDictionaryToGraph(sdData) {
                   ? modeData.value 
                   : modeData.value);
               modes[modeKey] = modeValue;
+              allModes.add(modeKey); // Collect unique modes
               if (modeKey === 'default' || !defaultValue) {
                 defaultValue = modeValue;
               }
@@ -318,7 +355,7 @@ function convertStyleDictionaryToGraph(sdData) {
           const layer = value.layer || parentLayer;
           
           if (!layer) {
-            console.warn(`Token ${tokenPath} has no layer property and no parent layer. Skipping.`);
+            reportSkippedToken(currentPath, 'no layer property and no parent layer');
             return;
           }
           
@@ -338,6 +375,7 @@ function convertStyleDictionaryToGraph(sdData) {
                   ? modeData.value 
                   : modeData.value);
               modes[modeKey] = modeValue;
+              allModes.add(modeKey); // Collect unique modes
               if (modeKey === 'default' || !defaultValue) {
                 defaultValue = modeValue;
               }
@@ -376,7 +414,7 @@ function convertStyleDictionaryToGraph(sdData) {
           const layer = value.layer || parentLayer;
           
           if (!layer) {
-            console.warn(`Token ${tokenPath} has no layer property and no parent layer. Skipping.`);
+            reportSkippedToken(currentPath, 'no layer property and no parent layer');
             return;
           }
           
@@ -414,7 +452,7 @@ function convertStyleDictionaryToGraph(sdData) {
           const layer = firstModeData?.layer || parentLayer;
           
           if (!layer) {
-            console.warn(`Token ${tokenPath} has no layer property in any mode and no parent layer. Skipping.`);
+            reportSkippedToken(currentPath, 'no layer property in any mode and no parent layer');
             return;
           }
           
@@ -488,7 +526,7 @@ function convertStyleDictionaryToGraph(sdData) {
             const layer = value.layer || parentLayer;
             
             if (!layer) {
-              console.warn(`Token ${tokenPath} has no layer property and no parent layer. Skipping.`);
+              reportSkippedToken(currentPath, 'no layer property and no parent layer');
               return;
             }
             
@@ -537,7 +575,7 @@ function convertStyleDictionaryToGraph(sdData) {
             const layer = value.layer || parentLayer;
             
             if (!layer) {
-              console.warn(`Token ${tokenPath} has no layer property and no parent layer. Skipping.`);
+              reportSkippedToken(currentPath, 'no layer property and no parent layer');
               return;
             }
             
@@ -624,14 +662,21 @@ function convertStyleDictionaryToGraph(sdData) {
             layersCount.set(layer, (layersCount.get(layer) || 0) + 1);
           });
 
+  // References may use other naming styles than the token ids ("bg-surface-raised", "{color.purple.3}")
+  const aliasResolver = createAliasResolver(tokenMap.values(), {
+    rules: options.aliasRules,
+    prefixes: options.aliasPrefixes
+  });
+
   // Helper function to resolve a reference path to an actual value
   function resolveReference(refPath, visited = new Set()) {
-    if (visited.has(refPath)) {
-      return null; // Circular reference
+    const tokenId = getReferenceId(refPath, aliasResolver);
+    if (!tokenId || visited.has(tokenId)) {
+      return null; // Unknown token or circular reference
     }
-    visited.add(refPath);
+    visited.add(tokenId);
     
-    const token = tokenMap.get(refPath);
+    const token = tokenMap.get(tokenId);
     if (!token) {
       return null;
     }
@@ -650,14 +695,7 @@ function convertStyleDictionaryToGraph(sdData) {
     
     // If token value is a reference, resolve it
     if (token.value && typeof token.value === 'string' && !token.value.startsWith('#') && !token.value.startsWith('rgba(') && !token.value.startsWith('rgb(')) {
-      let resolvedPath = token.value;
-      if (resolvedPath.startsWith('{') && resolvedPath.endsWith('}')) {
-        resolvedPath = resolvedPath.slice(1, -1);
-      }
-      if (resolvedPath.startsWith('color.')) {
-        resolvedPath = resolvedPath.substring(6);
-      }
-      const resolved = resolveReference(resolvedPath, visited);
+      const resolved = resolveReference(token.value, visited);
       if (resolved) {
         return resolved;
       }
@@ -771,16 +809,9 @@ function convertStyleDictionaryToGraph(sdData) {
                  : null);
               
               if (refValue && typeof refValue === 'string') {
-                let refPath = refValue;
-                if (refPath.startsWith('{') && refPath.endsWith('}')) {
-                  refPath = refPath.slice(1, -1);
-                }
-                // Clean reference path
-                if (refPath.startsWith('color.')) {
-                  refPath = refPath.substring(6);
-                }
                 // Only create link if the referenced token exists
-                if (tokenMap.has(refPath)) {
+                const refPath = getReferenceId(refValue, aliasResolver);
+                if (refPath) {
                   if (!referenceMap.has(refPath)) {
                     referenceMap.set(refPath, new Set());
                   }
@@ -819,15 +850,18 @@ function convertStyleDictionaryToGraph(sdData) {
       const mode = node.modes ? Object.keys(node.modes)[index] : node.mode;
       if (val && typeof val === 'string' && !val.startsWith('#') && !val.startsWith('rgba(') && !val.startsWith('rgb(')) {
         // This looks like a reference (not a direct color value)
-        // Reference format: {color.purple.3} or just a token name
-        let refPath = val;
-        if (refPath.startsWith('{') && refPath.endsWith('}')) {
-          refPath = refPath.slice(1, -1);
-        }
-        
-        // Clean reference path (remove color. prefix if present)
-        if (refPath.startsWith('color.')) {
-          refPath = refPath.substring(6);
+        // Reference format: {color.purple.3}, bg-surface-raised or just a token name
+        const refPath = getReferenceId(val, aliasResolver);
+        if (!refPath) return;
+
+        // Store the reference as the token id it resolved to
+        if (refPath !== val) {
+          if (node.modes) {
+            node.modes[mode] = refPath;
+          }
+          if (node.value === val) {
+            node.value = refPath;
+          }
         }
         
         // Only add if not already added from referenceMap
@@ -835,7 +869,7 @@ function convertStyleDictionaryToGraph(sdData) {
           link.source === node.id && link.target === refPath && link.mode === mode
         );
         
-        if (tokenMap.has(refPath) && !linkExists) {
+        if (!linkExists) {
           links.push({
             source: node.id,
             target: refPath,
@@ -847,68 +881,171 @@ function convertStyleDictionaryToGraph(sdData) {
     });
   });
   
+  diagnostics.push(...collectAliasDiagnostics(aliasResolver.getReport()));
+
   if (links.length === 0) {
-    console.warn(`[fileParser] No reference links created! Check if references are being collected correctly.`);
+    diagnostics.push(createDiagnostic(
+      DIAGNOSTIC_KINDS.NO_LINKS,
+      'info',
+      'No reference links were created; check that references use token ids that exist in the file'
+    ));
   }
 
   // Return nodes, links, available modes, version, and all versions
   return { 
     nodes, 
     links,
-    availableModes: Array.from(allModes).sort(),
+    // The default mode comes first so it's selected after loading
+    availableModes: Array.from(allModes).sort((a, b) => (b === 'default') - (a === 'default') || a.localeCompare(b)),
     version: version, // Primary version (root-level or most common)
-    allVersions: Array.from(allVersions).sort() // All unique versions found
+    allVersions: Array.from(allVersions).sort(), // All unique versions found
+    diagnostics
+  };
+}
+
+// Wrap a parsed graph in the result shape returned by the parse functions
+// Diagnostics combine what the parser skipped with checks of the finished graph
+function toParseResult(graph, fileName) {
+  const parserDiagnostics = graph.diagnostics || [];
+  // Skip graph checks for values the parser already reported (e.g. an alias to a missing variable)
+  const reportedValues = new Set(parserDiagnostics.filter(d => d.tokenId).map(d => `${d.tokenId}@${d.mode}`));
+  const graphDiagnostics = collectGraphDiagnostics(graph).filter(d => !reportedValues.has(`${d.tokenId}@${d.mode}`));
+  const diagnostics = [...parserDiagnostics, ...graphDiagnostics];
+  return {
+    graph: {
+      nodes: graph.nodes || [],
+      links: graph.links || [],
+      availableModes: graph.availableModes || [],
+      version: graph.version || null,
+      allVersions: graph.allVersions || [],
+      diagnostics
+    },
+    fileName: fileName,
+    availableModes: graph.availableModes || [],
+    version: graph.version || null,
+    allVersions: graph.allVersions || [],
+    diagnostics
   };
 }
 
 /**
- * Parse a file based on its type (only supports JSON)
+ * Parse already-loaded JSON (e.g. a bundled token file) into the same result shape as parseFile
+ */
+export function parseJSONData(jsonData, fileName, options = {}) {
+  return toParseResult(parseJSONFile(jsonData, options), fileName);
+}
+
+// Parse a file's contents with the parser for its type (JSON or CSS)
+async function parseFileGraph(file, options) {
+  const fileName = file.name.toLowerCase();
+  if (!fileName.endsWith('.json') && !fileName.endsWith('.css')) {
+    throw new Error('Unsupported file type. Please use .json or .css files.');
+  }
+
+  const content = await readFileAsText(file);
+  try {
+    return fileName.endsWith('.json')
+      ? parseJSONFile(JSON.parse(content), options)
+      : parseCSSFile(content, options);
+  } catch (error) {
+    throw new Error(`Failed to parse file: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a file based on its type (JSON or CSS)
+ */
+export async function parseFile(file, options = {}) {
+  const graph = await parseFileGraph(file, options);
+  // Return the full graph structure with all properties
+  return toParseResult(graph, file.name);
+}
+
+/**
+ * Parse pasted text with the same detection as parseFile
+ * Text starting with { or [ is parsed as JSON, anything else as CSS custom properties
  */
-export function parseFile(file) {
+export function parseText(text, options = {}) {
+  const content = (text || '').trim();
+  if (!content) {
+    throw new Error('Nothing to import: the pasted text is empty');
+  }
+
+  const isJSON = content.startsWith('{') || content.startsWith('[');
+  try {
+    const graph = isJSON ? parseJSONFile(JSON.parse(content), options) : parseCSSFile(content, options);
+    return toParseResult(graph, isJSON ? 'Pasted JSON' : 'Pasted CSS');
+  } catch (error) {
+    throw new Error(`Failed to parse pasted ${isJSON ? 'JSON' : 'CSS'}: ${error.message}`);
+  }
+}
+
+// File types parseFile can handle; other files picked from a folder are ignored
+const SUPPORTED_EXTENSIONS = ['.json', '.css'];
+
+/**
+ * Parse several files (or every supported file in a folder) and merge them into one graph
+ * References between files become links; duplicate token ids are reported as conflicts
+ */
+export async function parseFiles(files, options = {}) {
+  const supportedFiles = Array.from(files).filter(file => {
+    const fileName = file.name.toLowerCase();
+    return SUPPORTED_EXTENSIONS.some(extension => fileName.endsWith(extension));
+  });
+
+  if (supportedFiles.length === 0) {
+    throw new Error('No .json or .css files found');
+  }
+
+  const parsedFiles = await Promise.all(supportedFiles.map(async (file) => {
+    // Folder uploads carry the path inside the folder, which tells same-named files apart
+    const fileName = file.webkitRelativePath || file.name;
+    try {
+      const graph = await parseFileGraph(file, options);
+      return { fileName, graph };
+    } catch (error) {
+      throw new Error(`${fileName}: ${error.message}`);
+    }
+  }));
+
+  // Unresolved references are only checked on the merged graph, where cross-file references resolve
+  const { graph, conflicts } = mergeGraphs(parsedFiles);
+  const fileName = supportedFiles.length === 1 ? supportedFiles[0].name : `${supportedFiles.length} files`;
+
+  return {
+    ...toParseResult(graph, fileName),
+    fileNames: parsedFiles.map(parsed => parsed.fileName),
+    conflicts
+  };
+}
+
+// Read a File as text
+function readFileAsText(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      try {
-        const content = e.target.result;
-        const fileName = file.name.toLowerCase();
-        
-        if (fileName.endsWith('.json')) {
-          const jsonData = JSON.parse(content);
-          const graph = parseJSONFile(jsonData);
-          
-          // Return the full graph structure with all properties
-          resolve({ 
-            graph: {
-              nodes: graph.nodes || [],
-              links: graph.links || [],
-              availableModes: graph.availableModes || [],
-              version: graph.version || null,
-              allVersions: graph.allVersions || []
-            }, 
-            fileName: file.name,
-            availableModes: graph.availableModes || [],
-            version: graph.version || null,
-            allVersions: graph.allVersions || []
-          });
-        } else {
-          reject(new Error('Unsupported file type. Please use .json files only.'));
-        }
-      } catch (error) {
-        reject(new Error(`Failed to parse file: ${error.message}`));
-      }
-    };
-    
-    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
     reader.readAsText(file);
   });
 }
 
 /**
- * Parse TSX files with primitives (not supported - JSON only)
- * This function is kept for compatibility but will throw an error
+ * Parse TSX/TS files with primitives
+ * The primitives file holds literal values; the semantic file references them by identifier
+ * Files are parsed statically - nothing in them is executed
  */
-export function parseTSXWithPrimitives(primitivesFile, semanticFile) {
-  return Promise.reject(new Error('TSX file parsing is not supported. Please use JSON files with explicit layer properties.'));
-}
+export async function parseTSXWithPrimitives(primitivesFile, semanticFile, options = {}) {
+  const [primitivesSource, semanticSource] = await Promise.all([
+    readFileAsText(primitivesFile),
+    readFileAsText(semanticFile)
+  ]);
+
+  let graph;
+  try {
+    graph = parseTSXSources(primitivesSource, semanticSource, options);
+  } catch (error) {
+    throw new Error(`Failed to parse TSX files: ${error.message}`);
+  }
 
+  return toParseResult(graph, `${primitivesFile.name} + ${semanticFile.name}`);
+}
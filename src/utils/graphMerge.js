@@ -0,0 +1,126 @@
+/**
+ * Merge graphs parsed from several token files into one graph
+ * Each file's parser only links references it can resolve itself, so references into
+ * other files (e.g. a component file pointing at primary.130 in the primitives file)
+ * are linked here once every file's tokens are known
+ */
+
+import { resolveReferenceColor } from './colorUtils';
+import { getReferenceId } from './references';
+import { createAliasResolver } from './aliasResolver';
+import { DIAGNOSTIC_KINDS, createDiagnostic } from './diagnostics';
+
+/**
+ * Merge parsed files ([{ fileName, graph }]) into one graph
+ * The first file to define a token id wins; later definitions are reported as conflicts
+ * Each file's diagnostics are kept (tagged with the file) and conflicts are added as duplicate-id diagnostics
+ * Returns { graph, conflicts: [{ id, keptFile, skippedFile }] }
+ */
+export function mergeGraphs(parsedFiles) {
+  const nodes = [];
+  const nodeMap = new Map();
+  const conflicts = [];
+  const diagnostics = [];
+  const fileDiagnostics = [];
+  const links = [];
+  const linkKeys = new Set();
+  const modeOrder = [];
+  const allVersions = new Set();
+  let version = null;
+
+  const addLink = (link) => {
+    const key = `${link.source}->${link.target}@${link.mode}`;
+    if (link.source === link.target || linkKeys.has(key)) return;
+    linkKeys.add(key);
+    links.push(link);
+  };
+
+  parsedFiles.forEach(({ fileName, graph }) => {
+    const keptIds = new Set();
+    (graph.nodes || []).forEach(node => {
+      if (nodeMap.has(node.id)) {
+        const keptFile = nodeMap.get(node.id).sourceFile;
+        conflicts.push({ id: node.id, keptFile, skippedFile: fileName });
+        diagnostics.push(createDiagnostic(
+          DIAGNOSTIC_KINDS.DUPLICATE_ID,
+          'warning',
+          `Token id ${node.id} is defined in ${keptFile} and ${fileName}; keeping the one from ${keptFile}`,
+          { tokenId: node.id, file: fileName }
+        ));
+        return;
+      }
+      const mergedNode = { ...node, sourceFile: fileName };
+      nodeMap.set(node.id, mergedNode);
+      keptIds.add(node.id);
+      nodes.push(mergedNode);
+    });
+
+    // Links from a skipped duplicate belong to the definition that lost, so leave them out
+    (graph.links || []).forEach(link => {
+      const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
+      if (keptIds.has(sourceId)) {
+        addLink({ ...link });
+      }
+    });
+
+    (graph.diagnostics || []).forEach(diagnostic => {
+      fileDiagnostics.push({ ...diagnostic, file: fileName });
+    });
+
+    (graph.availableModes || []).forEach(mode => {
+      if (!modeOrder.includes(mode)) modeOrder.push(mode);
+    });
+    if (!version && graph.version) {
+      version = graph.version;
+    }
+    (graph.allVersions || []).forEach(v => allVersions.add(v));
+  });
+
+  // Cross-file links: references that now resolve because the target came from another file
+  const resolver = createAliasResolver(nodes);
+  nodes.forEach(node => {
+    if (!node.modes) return;
+    Object.keys(node.modes).forEach(mode => {
+      const targetId = getReferenceId(node.modes[mode], resolver);
+      if (targetId) {
+        addLink({ source: node.id, target: targetId, type: 'reference', mode: mode });
+      }
+    });
+  });
+
+  // References a file couldn't resolve on its own may point into another file
+  fileDiagnostics.forEach(diagnostic => {
+    const resolvedAcrossFiles = diagnostic.kind === DIAGNOSTIC_KINDS.UNRESOLVED_REFERENCE &&
+      getReferenceId(diagnostic.value, resolver);
+    if (!resolvedAcrossFiles) {
+      diagnostics.push(diagnostic);
+    }
+  });
+
+  // Swatches for tokens whose reference chain only completes across files
+  nodes.forEach(node => {
+    if (node.color) return;
+    const firstMode = node.modes ? Object.keys(node.modes)[0] : null;
+    const targetId = getReferenceId(firstMode ? node.modes[firstMode] : node.value, resolver);
+    const resolved = targetId ? resolveReferenceColor(nodeMap, targetId, firstMode) : null;
+    if (resolved) {
+      node.color = resolved;
+    }
+  });
+
+  if (version) {
+    allVersions.add(version);
+  }
+
+  return {
+    graph: {
+      nodes,
+      links,
+      availableModes: modeOrder,
+      version: version,
+      allVersions: Array.from(allVersions).sort(),
+      diagnostics
+    },
+    conflicts
+  };
+}
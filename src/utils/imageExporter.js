@@ -0,0 +1,247 @@
+/**
+ * Export the canvas as an image
+ * The scene (TokenGraph's getExportScene: nodes at their display positions with their opacity, connections
+ * with their highlight state, and the pan/zoom view) is drawn as a standalone SVG that uses literal
+ * colors instead of the app's CSS variables, so it renders the same outside the app.
+ * PNGs are rasterized from that SVG
+ */
+
+import { getConnectionPath } from './connectionPath';
+import { getSwatchColor, getDisplayValue } from './tokenDisplay';
+import { isTokenNode } from './tokenValues';
+
+const NODE_WIDTH = 450;
+const NODE_HEIGHT = 36;
+const HEADER_NODE_HEIGHT = 40; // version and layer group nodes
+const SWATCH_SIZE = 18;
+const CONTENT_PADDING = 40;
+
+// Browsers refuse canvases larger than this (per side, and in total pixels)
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 16384 * 16384 / 4;
+
+const MONOSPACE_FONT = "ui-monospace, Monaco, Menlo, 'Courier New', monospace";
+const SANS_FONT = "'Hardwater Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+
+// The dark theme colors the canvas uses (tokens.css), resolved so the SVG needs no stylesheet
+const COLORS = {
+  background: '#1c1c20',
+  text: '#ffffff',
+  mutedText: '#909199',
+  connection: '#b5b6bb',
+  highlightedConnection: '#a387ff',
+  cycleConnection: '#dd5252',
+  token: { fill: '#222327', stroke: '#3f4048' },
+  group: { fill: '#313137', stroke: '#4f505a' },
+  layerGroup: { fill: '#2f2551', stroke: '#7246ff' },
+  version: { fill: '#bb006d', stroke: '#e00082' },
+  selected: { fill: '#7246ff', stroke: '#7246ff' },
+  checker: ['#313137', '#3f4048']
+};
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getNodeHeight(node) {
+  return node.isVersion || node.isLayerGroup ? HEADER_NODE_HEIGHT : NODE_HEIGHT;
+}
+
+// Swatch color and value label for a node, as TokenNode shows them
+function describeNode(node, getNode, mode) {
+  const isToken = isTokenNode(node);
+  const value = getDisplayValue(node, getNode, mode);
+  return {
+    swatch: isToken ? getSwatchColor(node, getNode, mode) : null,
+    value: value === undefined || value === null ? '' : String(value),
+    // Non-primitive tokens show the token they reference, in smaller muted text
+    isReference: isToken && node.layer !== 'primitive'
+  };
+}
+
+function renderNode(node, description) {
+  const height = getNodeHeight(node);
+  const style = node.isSelected ? COLORS.selected
+    : node.isVersion ? COLORS.version
+    : node.isLayerGroup ? COLORS.layerGroup
+    : node.isGroup ? COLORS.group
+    : COLORS.token;
+  const padding = node.isVersion || node.isLayerGroup ? 18 : 14;
+  const fontSize = node.isVersion ? 16 : node.isLayerGroup ? 15 : 13;
+  const fontWeight = node.isVersion || node.isLayerGroup ? 700 : node.isGroup ? 600 : 500;
+  const centerY = height / 2;
+
+  const { swatch, value, isReference } = description;
+  const valueIsMonospace = /^#[0-9A-Fa-f]{3,8}$/.test(value) || value.includes('.');
+  const valueFontSize = isReference ? 10 : 12;
+  // Rough text width so a long name is cut off before it runs into the value
+  const valueWidth = value.length * valueFontSize * 0.62;
+  const nameX = padding + (swatch ? SWATCH_SIZE + 12 : 0);
+  const nameWidth = Math.max(0, NODE_WIDTH - nameX - padding - (value ? valueWidth + 12 : 0));
+
+  const parts = [
+    `<g transform="translate(${node.x} ${node.y})"${node.opacity < 1 ? ` opacity="${node.opacity}"` : ''}>`,
+    `<rect x="0.5" y="0.5" width="${NODE_WIDTH - 1}" height="${height - 1}" rx="6" fill="${style.fill}" stroke="${style.stroke}"/>`
+  ];
+  if (swatch) {
+    const swatchY = (height - SWATCH_SIZE) / 2;
+    parts.push(`<rect x="${padding}" y="${swatchY}" width="${SWATCH_SIZE}" height="${SWATCH_SIZE}" rx="4" fill="url(#checker)" stroke="${COLORS.token.stroke}"/>`);
+    parts.push(`<rect x="${padding + 1}" y="${swatchY + 1}" width="${SWATCH_SIZE - 2}" height="${SWATCH_SIZE - 2}" rx="3" fill="${escapeXML(swatch)}"/>`);
+  }
+  parts.push(
+    `<svg x="${nameX}" y="0" width="${nameWidth}" height="${height}">` +
+    `<text x="0" y="${centerY}" dominant-baseline="central" fill="${COLORS.text}" font-family="${escapeXML(MONOSPACE_FONT)}" font-size="${fontSize}" font-weight="${fontWeight}">${escapeXML(node.name)}</text>` +
+    '</svg>'
+  );
+  if (value) {
+    parts.push(
+      `<text x="${NODE_WIDTH - padding}" y="${centerY}" dominant-baseline="central" text-anchor="end" ` +
+      `fill="${isReference ? COLORS.mutedText : COLORS.text}"${isReference ? '' : ' fill-opacity="0.7"'} ` +
+      `font-family="${escapeXML(valueIsMonospace ? MONOSPACE_FONT : SANS_FONT)}" font-size="${valueFontSize}">${escapeXML(value)}</text>`
+    );
+  }
+  parts.push('</g>');
+  return parts.join('');
+}
+
+// Bounding box of the nodes a fit-to-content export frames: in focus mode only the chain
+// (the nodes drawn at full opacity), otherwise every node
+function getContentBounds(scene) {
+  const framed = scene.focusTokenId ? scene.nodes.filter(node => node.opacity === 1) : scene.nodes;
+  if (framed.length === 0) return null;
+  const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  framed.forEach(node => {
+    bounds.minX = Math.min(bounds.minX, node.x);
+    bounds.minY = Math.min(bounds.minY, node.y);
+    bounds.maxX = Math.max(bounds.maxX, node.x + NODE_WIDTH);
+    bounds.maxY = Math.max(bounds.maxY, node.y + getNodeHeight(node));
+  });
+  return {
+    x: bounds.minX - CONTENT_PADDING,
+    y: bounds.minY - CONTENT_PADDING,
+    width: bounds.maxX - bounds.minX + CONTENT_PADDING * 2,
+    height: bounds.maxY - bounds.minY + CONTENT_PADDING * 2
+  };
+}
+
+function intersects(area, x, y, width, height) {
+  return x < area.x + area.width && x + width > area.x && y < area.y + area.height && y + height > area.y;
+}
+
+/**
+ * Draw a canvas scene as a standalone SVG document
+ * Options: { area } - 'visible' (what the canvas shows at its current pan and zoom, the default)
+ *          or 'content' (every node, or the focus chain in focus mode, at 100% zoom),
+ *          { allNodes } - token nodes used to resolve swatch colors, { selectedMode } - mode to resolve in
+ * Returns { svg, width, height } - width and height in pixels
+ */
+export function exportSceneToSVG(scene, options = {}) {
+  const { area: areaOption = 'visible', allNodes = scene.nodes, selectedMode } = options;
+
+  let area;
+  let width;
+  let height;
+  if (areaOption === 'content') {
+    area = getContentBounds(scene);
+    if (!area) {
+      throw new Error('There are no tokens on the canvas to export');
+    }
+    width = area.width;
+    height = area.height;
+  } else {
+    const { panX, panY, zoom, width: viewWidth, height: viewHeight } = scene.view;
+    if (!viewWidth || !viewHeight) {
+      throw new Error('The canvas has no visible area to export');
+    }
+    area = { x: -panX / zoom, y: -panY / zoom, width: viewWidth / zoom, height: viewHeight / zoom };
+    width = viewWidth;
+    height = viewHeight;
+  }
+  width = Math.ceil(width);
+  height = Math.ceil(height);
+
+  const nodeMap = new Map(allNodes.map(node => [node.id, node]));
+  const getNode = (tokenId) => nodeMap.get(tokenId);
+
+  const connectionPaths = scene.connections
+    .filter(connection => {
+      const x = Math.min(connection.sourceX, connection.targetX);
+      const y = Math.min(connection.sourceY, connection.targetY);
+      return intersects(area, x, y, Math.abs(connection.targetX - connection.sourceX), Math.abs(connection.targetY - connection.sourceY));
+    })
+    .map(connection => {
+      const path = getConnectionPath(connection);
+      if (!path) return '';
+      const stroke = connection.isCycle ? COLORS.cycleConnection
+        : connection.isHighlighted ? COLORS.highlightedConnection
+        : COLORS.connection;
+      return `<path d="${path}" stroke="${stroke}" stroke-width="${connection.isHighlighted ? 2 : 1}" fill="none" opacity="${connection.opacity}"/>`;
+    });
+
+  // Faded nodes first so the nodes in focus are drawn over them
+  const nodes = scene.nodes
+    .filter(node => intersects(area, node.x, node.y, NODE_WIDTH, getNodeHeight(node)))
+    .sort((a, b) => a.opacity - b.opacity || Number(a.isSelected) - Number(b.isSelected))
+    .map(node => renderNode(node, describeNode(node, getNode, selectedMode)));
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${area.x} ${area.y} ${area.width} ${area.height}">`,
+    '<defs>',
+    `<pattern id="checker" width="6" height="6" patternUnits="userSpaceOnUse">` +
+    `<rect width="6" height="6" fill="${COLORS.checker[0]}"/>` +
+    `<rect width="3" height="3" fill="${COLORS.checker[1]}"/><rect x="3" y="3" width="3" height="3" fill="${COLORS.checker[1]}"/>` +
+    '</pattern>',
+    '</defs>',
+    `<rect x="${area.x}" y="${area.y}" width="${area.width}" height="${area.height}" fill="${COLORS.background}"/>`,
+    `<g>${connectionPaths.join('')}</g>`,
+    `<g>${nodes.join('')}</g>`,
+    '</svg>'
+  ].join('\n');
+
+  return { svg: `${svg}\n`, width, height };
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('The SVG could not be rendered as an image'));
+    image.src = url;
+  });
+}
+
+/**
+ * Rasterize an SVG (from exportSceneToSVG) to a PNG at a scale (1, 2, 4…)
+ * The scale is lowered when the image would be larger than browsers allow a canvas to be
+ * Returns a promise of { blob, scale } - scale is the one actually used
+ */
+export async function rasterizeSVG(svg, width, height, scale = 1) {
+  const maxScale = Math.min(
+    MAX_CANVAS_SIDE / width,
+    MAX_CANVAS_SIDE / height,
+    Math.sqrt(MAX_CANVAS_AREA / (width * height))
+  );
+  const appliedScale = Math.min(scale, maxScale);
+
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  try {
+    const image = await loadImage(url);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.floor(width * appliedScale));
+    canvas.height = Math.max(1, Math.floor(height * appliedScale));
+    const context = canvas.getContext('2d');
+    context.scale(appliedScale, appliedScale);
+    context.drawImage(image, 0, 0, width, height);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(result => (result ? resolve(result) : reject(new Error('The image is too large to export as PNG'))), 'image/png');
+    });
+    return { blob, scale: appliedScale };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Impact analysis ("blast radius"): every token downstream of a token
+ * Walks references in reverse, from a token to the tokens referencing it, separately in every mode
+ * (see getReferenceEdges). The canvas's chain tracing goes the other way, from a token down to its
+ * primitive in the selected mode
+ */
+
+import { createValueResolver, getReferenceEdges } from './tokenValues';
+
+/**
+ * Find the tokens that depend on a token, directly or through other tokens
+ * Returns null for an unknown token, otherwise { tokenId, dependents, modes, edgeKeys }: dependents are
+ * [{ tokenId, layer, depth, modes }] sorted by depth (1 references the token directly) with the modes
+ * the dependency exists in ([null] for graphs without modes), and edgeKeys holds the "source->target"
+ * references of the dependency tree, for highlighting its links on the canvas
+ */
+export function getImpact(graph, tokenId) {
+  const resolver = createValueResolver(graph);
+  const { nodeMap } = resolver;
+  if (!nodeMap.has(tokenId)) return null;
+  const modes = graph.availableModes && graph.availableModes.length > 0 ? graph.availableModes : [null];
+
+  // mode -> target id -> source ids
+  const referencedBy = new Map(modes.map(mode => [mode, new Map()]));
+  getReferenceEdges(graph, resolver).forEach(({ source, target, mode }) => {
+    const sourcesByTarget = referencedBy.get(mode);
+    if (!sourcesByTarget.has(target)) sourcesByTarget.set(target, []);
+    sourcesByTarget.get(target).push(source);
+  });
+
+  const dependents = new Map(); // token id -> { tokenId, layer, depth, modes }
+  const edgeKeys = new Set();
+  modes.forEach(mode => {
+    // Breadth-first, so depth is the shortest path in any mode
+    const visited = new Set([tokenId]);
+    let frontier = [tokenId];
+    for (let depth = 1; frontier.length > 0; depth++) {
+      const next = [];
+      frontier.forEach(targetId => {
+        (referencedBy.get(mode).get(targetId) || []).forEach(source => {
+          edgeKeys.add(`${source}->${targetId}`);
+          if (visited.has(source)) return;
+          visited.add(source);
+          next.push(source);
+
+          if (!dependents.has(source)) {
+            dependents.set(source, { tokenId: source, layer: nodeMap.get(source).layer || 'global', depth, modes: [] });
+          }
+          const dependent = dependents.get(source);
+          dependent.depth = Math.min(dependent.depth, depth);
+          dependent.modes.push(mode);
+        });
+      });
+      frontier = next;
+    }
+  });
+
+  return {
+    tokenId,
+    dependents: Array.from(dependents.values())
+      .sort((a, b) => a.depth - b.depth || a.tokenId.localeCompare(b.tokenId)),
+    modes,
+    edgeKeys
+  };
+}
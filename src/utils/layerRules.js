@@ -0,0 +1,38 @@
+/**
+ * Path-based layer rules for formats that carry no explicit layer property
+ *
+ * A rule is { pattern, layer } where pattern is a RegExp or a glob-like string
+ * matched against the dotted token path ("*" matches one segment, "**" any number).
+ * Rules are checked in order and the first match wins.
+ */
+
+/**
+ * Convert a glob-like pattern (e.g. "color.base.**") to a RegExp
+ */
+export function globToRegExp(glob) {
+  const escaped = glob
+    .split('.')
+    .map(segment => {
+      if (segment === '**') return '.*';
+      return segment
+        .replace(/[|\\{}()[\]^$+?]/g, '\\$&')
+        .replace(/\*/g, '[^.]*');
+    })
+    .join('\\.');
+  return new RegExp(`^${escaped.replace(/\\\.\.\*/g, '(\\..*)?')}$`);
+}
+
+/**
+ * Return the layer of the first rule matching the token path, or null
+ */
+export function matchLayerRule(tokenPath, rules = []) {
+  if (!tokenPath || !Array.isArray(rules)) return null;
+  for (const rule of rules) {
+    if (!rule || !rule.layer || !rule.pattern) continue;
+    const regex = rule.pattern instanceof RegExp ? rule.pattern : globToRegExp(String(rule.pattern));
+    if (regex.test(tokenPath)) {
+      return rule.layer;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,170 @@
+/**
+ * Lint rules: architecture checks over a token graph
+ * The config maps each rule id to { enabled, severity, ...options }. A violation is
+ * { ruleId, severity, tokenId, layer, modes, message }, where modes lists the modes it applies
+ * in ([null] for graphs without modes, [] when modes don't matter for the rule)
+ */
+
+import { createValueResolver } from './tokenValues';
+
+export const LINT_RULES = [
+  {
+    id: 'layer-references',
+    name: 'Layer references',
+    description: 'Tokens only reference layers their layer may use'
+  },
+  {
+    id: 'max-alias-depth',
+    name: 'Alias depth',
+    description: 'Reference chains are at most this many aliases long'
+  },
+  {
+    id: 'require-description',
+    name: 'Description',
+    description: 'Every token has a description'
+  },
+  {
+    id: 'require-all-modes',
+    name: 'Every mode',
+    description: 'Tokens with per-mode values have a value in every mode'
+  },
+  {
+    id: 'naming',
+    name: 'Naming',
+    description: 'Token ids match the pattern of their layer (layers without a pattern are not checked)'
+  }
+];
+
+// allowed: { [layer]: target layers } overrides; layers it doesn't list use getDefaultAllowedReferences
+export const DEFAULT_LINT_CONFIG = {
+  'layer-references': { enabled: true, severity: 'error', allowed: null },
+  'max-alias-depth': { enabled: true, severity: 'warning', maxDepth: 3 },
+  'require-description': { enabled: false, severity: 'info' },
+  'require-all-modes': { enabled: true, severity: 'warning' },
+  naming: { enabled: false, severity: 'warning', patterns: {} }
+};
+
+/**
+ * The architecture's layer references for layers in canvas order (primitives first):
+ * a layer may reference itself and the layers before it, and only global tokens touch primitives
+ * Returns { [layer]: allowed target layers }
+ */
+export function getDefaultAllowedReferences(layers) {
+  const allowed = {};
+  layers.forEach((layer, index) => {
+    allowed[layer] = layers.filter((target, targetIndex) =>
+      target === layer || (targetIndex < index && (target !== 'primitive' || layer === 'global'))
+    );
+  });
+  return allowed;
+}
+
+// Compile the naming patterns; invalid ones are reported instead of throwing mid-lint
+function compilePatterns(patterns = {}) {
+  const compiled = new Map();
+  const errors = [];
+  Object.entries(patterns).forEach(([layer, pattern]) => {
+    if (!pattern) return;
+    try {
+      compiled.set(layer, new RegExp(pattern));
+    } catch (error) {
+      errors.push({ ruleId: 'naming', layer, message: `The ${layer} pattern is not a valid regular expression: ${error.message}` });
+    }
+  });
+  return { compiled, errors };
+}
+
+/**
+ * Lint a graph
+ * Options: { layers } - layers in canvas order (App's organizedGraph layer groups), used for the
+ * default layer references; defaults to the layers in the order tokens appear
+ * Returns { violations, errors }; errors are config problems such as invalid naming patterns
+ */
+export function lintGraph(graph, config = DEFAULT_LINT_CONFIG, options = {}) {
+  const { nodes, nodeMap, getReference, resolve } = createValueResolver(graph);
+  const graphModes = graph.availableModes && graph.availableModes.length > 0 ? graph.availableModes : [null];
+  const layerOf = (node) => node.layer || 'global';
+  const layers = options.layers || Array.from(new Set(nodes.map(layerOf)));
+  const ruleConfig = (ruleId) => ({ ...DEFAULT_LINT_CONFIG[ruleId], ...(config[ruleId] || {}) });
+  const violations = [];
+  const errors = [];
+
+  const report = (ruleId, node, message, modes = []) => {
+    violations.push({ ruleId, severity: ruleConfig(ruleId).severity, tokenId: node.id, layer: layerOf(node), modes, message });
+  };
+
+  const layerReferences = ruleConfig('layer-references');
+  const allowed = { ...getDefaultAllowedReferences(layers), ...(layerReferences.allowed || {}) };
+  const maxAliasDepth = ruleConfig('max-alias-depth');
+  const naming = ruleConfig('naming');
+  const { compiled: namingPatterns, errors: namingErrors } = naming.enabled
+    ? compilePatterns(naming.patterns)
+    : { compiled: new Map(), errors: [] };
+  errors.push(...namingErrors);
+
+  nodes.forEach(node => {
+    const layer = layerOf(node);
+
+    if (layerReferences.enabled && allowed[layer]) {
+      // target id -> modes the disallowed reference is used in
+      const disallowed = new Map();
+      graphModes.forEach(mode => {
+        const targetId = getReference(node.id, mode);
+        const target = targetId && nodeMap.get(targetId);
+        if (!target || allowed[layer].includes(layerOf(target))) return;
+        if (!disallowed.has(targetId)) disallowed.set(targetId, []);
+        disallowed.get(targetId).push(mode);
+      });
+      disallowed.forEach((modes, targetId) => {
+        const targetLayer = layerOf(nodeMap.get(targetId));
+        const allowedLabel = allowed[layer].length > 0 ? allowed[layer].join(', ') : 'no layers';
+        report('layer-references', node,
+          `${layer} token references ${targetLayer} token ${targetId}; ${layer} may reference ${allowedLabel}`,
+          modes);
+      });
+    }
+
+    if (maxAliasDepth.enabled) {
+      let deepest = null;
+      graphModes.forEach(mode => {
+        const resolved = resolve(node.id, mode);
+        if (resolved.circular) return;
+        if (!deepest || resolved.chain.length > deepest.chain.length) {
+          deepest = { chain: resolved.chain, modes: [mode] };
+        } else if (resolved.chain.length === deepest.chain.length) {
+          deepest.modes.push(mode);
+        }
+      });
+      const depth = deepest ? deepest.chain.length - 1 : 0;
+      if (depth > maxAliasDepth.maxDepth) {
+        report('max-alias-depth', node,
+          `Reference chain is ${depth} aliases deep (max ${maxAliasDepth.maxDepth}): ${deepest.chain.join(' → ')}`,
+          deepest.modes);
+      }
+    }
+
+    if (ruleConfig('require-description').enabled && !(node.description && String(node.description).trim())) {
+      report('require-description', node, 'Token has no description');
+    }
+
+    if (ruleConfig('require-all-modes').enabled && node.modes && graphModes[0] !== null) {
+      const missing = graphModes.filter(mode => {
+        const value = node.modes[mode];
+        return value === undefined || value === null || value === '';
+      });
+      if (missing.length > 0) {
+        const hasFallback = node.value !== undefined && node.value !== null && node.value !== '';
+        report('require-all-modes', node, hasFallback
+          ? `Token has no value of its own in ${missing.join(', ')}; those modes fall back to ${node.value}`
+          : `Token has no value in ${missing.join(', ')}`, missing);
+      }
+    }
+
+    const namingPattern = namingPatterns.get(layer);
+    if (namingPattern && !namingPattern.test(node.id)) {
+      report('naming', node, `Token id doesn't match the ${layer} pattern /${namingPattern.source}/`);
+    }
+  });
+
+  return { violations, errors };
+}
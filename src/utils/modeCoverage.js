@@ -0,0 +1,68 @@
+/**
+ * Mode coverage: which modes each token with per-mode values actually defines
+ * The parsers accept several mode shapes and keep whatever modes a token lists in node.modes, so a
+ * token can skip some of the graph's modes. A skipped mode falls back to node.value (see getModeValue)
+ * or, without one, has no value at all. Cells that repeat another mode's raw value are flagged too,
+ * since they're often copy-paste leftovers
+ */
+
+import { createValueResolver } from './tokenValues';
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Coverage of every token that has per-mode values, in the graph's modes
+ * Returns { modes, rows, uniformCount }: uniformCount counts tokens with a single value for every mode
+ * (no per-mode values, or the same one in each), which aren't listed. Each row is
+ * { tokenId, layer, cells, missing, fallback, repeated } and each cell
+ * { mode, status, raw, resolved, sameAs }: status is 'own', 'fallback' (uses node.value) or 'missing',
+ * raw the value used before following references, resolved the literal at the end of the chain, and
+ * sameAs the other modes defining the same raw value
+ */
+export function getModeCoverage(graph) {
+  const { nodes, resolve } = createValueResolver(graph);
+  const modes = graph.availableModes || [];
+  const rows = [];
+  let uniformCount = 0;
+
+  nodes.forEach(node => {
+    if (!node.modes || Object.keys(node.modes).length === 0 || modes.length === 0) {
+      uniformCount++;
+      return;
+    }
+
+    const ownValues = new Map(); // mode -> raw value the token defines
+    modes.forEach(mode => {
+      if (!isEmpty(node.modes[mode])) ownValues.set(mode, String(node.modes[mode]));
+    });
+
+    // Per-mode values that are the same in every mode amount to one value
+    if (ownValues.size === modes.length && new Set(ownValues.values()).size === 1) {
+      uniformCount++;
+      return;
+    }
+
+    const cells = modes.map(mode => {
+      if (ownValues.has(mode)) {
+        const raw = ownValues.get(mode);
+        const sameAs = modes.filter(other => other !== mode && ownValues.get(other) === raw);
+        return { mode, status: 'own', raw, resolved: resolve(node.id, mode).value, sameAs };
+      }
+      if (!isEmpty(node.value)) {
+        return { mode, status: 'fallback', raw: String(node.value), resolved: resolve(node.id, mode).value, sameAs: [] };
+      }
+      return { mode, status: 'missing', raw: null, resolved: null, sameAs: [] };
+    });
+
+    rows.push({
+      tokenId: node.id,
+      layer: node.layer || 'global',
+      cells,
+      missing: cells.filter(cell => cell.status === 'missing').length,
+      fallback: cells.filter(cell => cell.status === 'fallback').length,
+      repeated: cells.filter(cell => cell.sameAs.length > 0).length
+    });
+  });
+
+  return { modes, rows, uniformCount };
+}
@@ -0,0 +1,241 @@
+/**
+ * The mode matrix as CSV, for reviewing token values in a spreadsheet
+ * Export writes one row per token with two columns per mode: the raw value (a reference or a literal)
+ * and the resolved value at the end of the reference chain. Import reads the raw columns of the same
+ * CSV back, lists what differs from the loaded graph, and applies the changes to node.modes
+ */
+
+import { createValueResolver, getModeValue, isTokenNode } from './tokenValues';
+import { createAliasResolver } from './aliasResolver';
+import { getReferenceId, getReferencePath, looksLikeReference } from './references';
+import { isColorValue } from './colorUtils';
+
+const TOKEN_COLUMN = 'token';
+const INFO_COLUMNS = [TOKEN_COLUMN, 'layer', 'type'];
+const RESOLVED_SUFFIX = ' (resolved)';
+// Column for graphs without modes (tokens only have node.value)
+const VALUE_COLUMN = 'value';
+
+// Values that are meant as references: braces, var() or dotted paths, and bare names with hyphen or
+// underscore segments ("purple-3", "green_new.70"), which the alias rules also match to token ids
+function isReferenceLike(value) {
+  return looksLikeReference(value) || /\w[-_]\w/.test(getReferencePath(value) || '');
+}
+
+// Quote a CSV field when it contains a separator, quote or line break
+function toCSVField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line breaks) into rows of fields
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Spreadsheets often add blank lines at the end
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Export the mode matrix of a graph as CSV
+ * Options: { modes } - modes to write columns for (default graph.availableModes)
+ * Returns { csv }
+ */
+export function exportGraphToCSV(graph, options = {}) {
+  const { modes = graph.availableModes || [] } = options;
+  const { nodes, resolve } = createValueResolver(graph);
+  const columnModes = modes.length > 0 ? modes : [null];
+
+  const header = [...INFO_COLUMNS];
+  columnModes.forEach(mode => {
+    const column = mode === null ? VALUE_COLUMN : mode;
+    header.push(column, `${column}${RESOLVED_SUFFIX}`);
+  });
+
+  const rows = nodes.map(node => {
+    const fields = [node.id, node.layer, node.type];
+    columnModes.forEach(mode => {
+      const raw = getModeValue(node, mode);
+      const resolved = resolve(node.id, mode);
+      fields.push(raw, resolved.circular ? 'circular reference' : resolved.unresolved ? 'unresolved reference' : resolved.value);
+    });
+    return fields.map(toCSVField).join(',');
+  });
+
+  // A byte order mark so spreadsheet apps read the file as UTF-8
+  return { csv: `\uFEFF${[header.map(toCSVField).join(','), ...rows].join('\r\n')}\r\n` };
+}
+
+/**
+ * Compare a mode matrix CSV with a graph
+ * Only the raw value columns are read; resolved columns and empty cells are ignored
+ * Returns { changes, unknownTokens, unknownModes, rowCount }; each change is
+ * { tokenId, mode, from, to, unresolved } where mode is null for graphs without modes and
+ * unresolved flags new values that look like references but don't name a token
+ */
+export function diffModeMatrix(graph, csvText) {
+  const rows = parseCSV(csvText.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const header = rows[0].map(column => column.trim());
+  const tokenIndex = header.indexOf(TOKEN_COLUMN);
+  if (tokenIndex === -1) {
+    throw new Error(`The CSV has no "${TOKEN_COLUMN}" column; export the mode matrix first and edit that file`);
+  }
+
+  const graphModes = graph.availableModes || [];
+  const knownModes = new Set(graphModes);
+  const modeColumns = [];
+  const unknownModes = [];
+  header.forEach((column, index) => {
+    if (INFO_COLUMNS.includes(column) || column.endsWith(RESOLVED_SUFFIX) || column === '') return;
+    if (graphModes.length === 0 && column === VALUE_COLUMN) {
+      modeColumns.push({ index, mode: null });
+    } else if (knownModes.has(column)) {
+      modeColumns.push({ index, mode: column });
+    } else {
+      unknownModes.push(column);
+    }
+  });
+
+  const { nodeMap } = createValueResolver(graph);
+  const aliasResolver = createAliasResolver(nodeMap.values());
+  const changes = [];
+  const unknownTokens = [];
+
+  rows.slice(1).forEach(fields => {
+    const tokenId = (fields[tokenIndex] || '').trim();
+    if (!tokenId) return;
+    const node = nodeMap.get(tokenId);
+    if (!node) {
+      unknownTokens.push(tokenId);
+      return;
+    }
+    modeColumns.forEach(({ index, mode }) => {
+      const to = (fields[index] || '').trim();
+      if (to === '') return;
+      const current = getModeValue(node, mode);
+      const from = current === undefined || current === null ? '' : String(current);
+      // "purple-3" for a stored "purple.3" is the same reference
+      if (to === from || getReferenceId(to, aliasResolver) === from) return;
+      changes.push({
+        tokenId,
+        mode,
+        from,
+        to,
+        unresolved: isReferenceLike(to) && !getReferenceId(to, aliasResolver)
+      });
+    });
+  });
+
+  return { changes, unknownTokens, unknownModes, rowCount: rows.length - 1 };
+}
+
+/**
+ * Apply changes from diffModeMatrix to a graph and return the updated graph
+ * Changed tokens get new node.modes values (tokens without modes get a modes map, filled from their
+ * value), their reference links are rebuilt, and swatch colors are updated for every token whose
+ * reference chain passes through a changed token
+ */
+export function applyModeMatrixChanges(graph, changes) {
+  const modes = graph.availableModes || [];
+  const changesByToken = new Map();
+  changes.forEach(change => {
+    if (!changesByToken.has(change.tokenId)) changesByToken.set(change.tokenId, []);
+    changesByToken.get(change.tokenId).push(change);
+  });
+
+  const nodes = graph.nodes.map(node => {
+    const tokenChanges = changesByToken.get(node.id);
+    if (!tokenChanges) return node;
+    const updated = { ...node };
+    tokenChanges.forEach(({ mode, to }) => {
+      if (mode === null) {
+        updated.value = to;
+        return;
+      }
+      if (!updated.modes) {
+        updated.modes = Object.fromEntries(modes.map(m => [m, node.value]));
+      } else if (updated.modes === node.modes) {
+        updated.modes = { ...node.modes };
+      }
+      updated.modes[mode] = to;
+    });
+    return updated;
+  });
+
+  // Rebuild the reference links of changed tokens from their new values, storing references
+  // as the token ids they resolve to like the parsers do (nodes with changes are copies, so this is safe)
+  const aliasResolver = createAliasResolver(nodes);
+  const links = (graph.links || []).filter(link => {
+    const sourceId = typeof link.source === 'object' ? link.source.id : link.source;
+    return link.type !== 'reference' || !changesByToken.has(sourceId);
+  });
+  nodes.forEach(node => {
+    if (!changesByToken.has(node.id)) return;
+    const modeEntries = node.modes ? Object.entries(node.modes) : [[undefined, node.value]];
+    modeEntries.forEach(([mode, value]) => {
+      const targetId = getReferenceId(value, aliasResolver);
+      if (!targetId || targetId === node.id) return;
+      if (targetId !== value) {
+        if (mode === undefined) {
+          node.value = targetId;
+        } else {
+          node.modes[mode] = targetId;
+        }
+      }
+      links.push({ source: node.id, target: targetId, type: 'reference', mode });
+    });
+  });
+
+  // Swatches follow the first mode, like the parsers set them
+  const { resolve } = createValueResolver({ nodes });
+  const updatedNodes = nodes.map(node => {
+    if (!isTokenNode(node)) return node;
+    const firstMode = node.modes ? Object.keys(node.modes)[0] : undefined;
+    const resolved = resolve(node.id, firstMode);
+    if (!resolved.chain.some(tokenId => changesByToken.has(tokenId))) return node;
+    if (!isColorValue(resolved.value) || resolved.value === node.color) return node;
+    return { ...node, color: resolved.value };
+  });
+
+  return { ...graph, nodes: updatedNodes, links };
+}
@@ -0,0 +1,77 @@
+/**
+ * Reference cycles: tokens whose reference chain loops back on itself (a -> b -> a, or a -> a)
+ * The canvas and the value resolver stop walking a chain when they revisit a token, so a cycle
+ * otherwise only shows up as a token without a color. Only whole-value references are followed,
+ * the same links the canvas draws
+ */
+
+import { createValueResolver } from './tokenValues';
+
+// Rotate a cycle so it starts at its smallest token id, so the same loop found from
+// different starting tokens or in different modes gets the same key
+function normalizeCycle(members) {
+  let start = 0;
+  members.forEach((tokenId, index) => {
+    if (tokenId < members[start]) start = index;
+  });
+  return [...members.slice(start), ...members.slice(0, start)];
+}
+
+/**
+ * Find every reference cycle in a graph, in each of its modes
+ * Returns [{ members, modes }]: the token ids in reference order (each references the next, the last
+ * references the first; a token referencing itself is a one-member cycle) and the modes the cycle
+ * exists in ([null] for graphs without modes)
+ */
+export function findReferenceCycles(graph) {
+  const { nodes, getReference } = createValueResolver(graph);
+  const modes = graph.availableModes && graph.availableModes.length > 0 ? graph.availableModes : [null];
+  const cycles = new Map(); // key -> { members, modes }
+
+  modes.forEach(mode => {
+    // Each token references at most one token per mode, so walking from every unvisited token
+    // and stopping at the first token seen before finds each cycle exactly once
+    const visited = new Set();
+    nodes.forEach(node => {
+      const path = [];
+      const pathIndex = new Map();
+      let currentId = node.id;
+      while (currentId && !visited.has(currentId)) {
+        visited.add(currentId);
+        pathIndex.set(currentId, path.length);
+        path.push(currentId);
+        currentId = getReference(currentId, mode);
+      }
+      if (!currentId || !pathIndex.has(currentId)) return;
+
+      const members = normalizeCycle(path.slice(pathIndex.get(currentId)));
+      const key = members.join('>');
+      if (!cycles.has(key)) cycles.set(key, { members, modes: [] });
+      cycles.get(key).modes.push(mode);
+    });
+  });
+
+  return Array.from(cycles.values());
+}
+
+/**
+ * Keys ("source->target") of the reference links that are part of a cycle in a mode
+ * Cycles found in a graph without modes apply to every mode
+ */
+export function getCycleEdgeKeys(cycles, mode) {
+  const keys = new Set();
+  cycles.forEach(({ members, modes }) => {
+    if (!modes.includes(mode) && !modes.includes(null)) return;
+    members.forEach((tokenId, index) => {
+      keys.add(`${tokenId}->${members[(index + 1) % members.length]}`);
+    });
+  });
+  return keys;
+}
+
+/**
+ * A cycle as text: "a → b → a"
+ */
+export function formatCycle(members) {
+  return [...members, members[0]].join(' → ');
+}
@@ -0,0 +1,43 @@
+/**
+ * Helpers for reading token references stored in node values and modes
+ * References are stored as token ids ("purple.3"), but imported files may still carry
+ * "{purple.3}", "{color.purple.3}", "var(--purple-3)" or "purple-3" forms
+ */
+
+import { isColorValue } from './colorUtils';
+
+/**
+ * Strip reference syntax from a value ("{color.purple.3}" -> "color.purple.3", "var(--text-strong)" -> "text.strong")
+ * Returns null for values that can't be a whole-value reference (colors, numbers, expressions)
+ */
+export function getReferencePath(value) {
+  if (typeof value !== 'string' || isColorValue(value)) return null;
+  let refPath = value.trim();
+  const varMatch = refPath.match(/^var\(\s*--([\w-]+)\s*(?:,[\s\S]*)?\)$/);
+  if (varMatch) {
+    return varMatch[1].replace(/-/g, '.');
+  }
+  if (refPath.startsWith('{') && refPath.endsWith('}')) {
+    refPath = refPath.slice(1, -1);
+  }
+  // Token ids are dotted or hyphenated names without spaces or operators
+  return /^[\w-]+(\.[\w-]+)*$/.test(refPath) && !/^-?\d*\.?\d+[a-z%]*$/i.test(refPath) ? refPath : null;
+}
+
+/**
+ * Check if a value looks like a reference to another token rather than a literal
+ * Bare words ("bold", "Inter") only count when they're in braces; dotted paths always count
+ */
+export function looksLikeReference(value) {
+  const refPath = getReferencePath(value);
+  if (!refPath) return false;
+  return refPath.includes('.') || /^\{.*\}$/.test(value.trim()) || value.trim().startsWith('var(');
+}
+
+/**
+ * Resolve a stored reference to a token id with an alias resolver (see aliasResolver.js), or null
+ */
+export function getReferenceId(value, resolver) {
+  const refPath = getReferencePath(value);
+  return refPath ? resolver.resolveId(refPath) : null;
+}
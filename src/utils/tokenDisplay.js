@@ -0,0 +1,298 @@
+/**
+ * How a token is shown on the canvas: the swatch color (with opacity) and the value label
+ * TokenNode uses these, and so do the exports that should match what the graph shows (docs, images).
+ * Tokens are looked up with getNode(id), so callers can use whatever index they already have
+ */
+
+/**
+ * Opacity percentage from an opacity token's name ("opacity.neutral.72" -> 72), or null
+ */
+export function extractOpacityFromName(tokenName) {
+  if (!tokenName || typeof tokenName !== 'string') return null;
+
+  // Check if it's an opacity token: opacity.color.value (e.g., "opacity.neutral.72")
+  // Pattern: opacity.{color}.{number}
+  const opacityMatch = tokenName.match(/^opacity\.(?:black|white|neutral|red|blue|green|yellow|purple|pink|orange|teal)\.(\d+)$/i);
+  if (opacityMatch) {
+    const opacityValue = parseInt(opacityMatch[1], 10);
+    if (!isNaN(opacityValue) && opacityValue >= 0 && opacityValue <= 100) {
+      return opacityValue;
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert an rgba()/rgb() string to { hex, opacity } (opacity as a percentage, null when opaque), or null
+ */
+export function rgbaToHex(rgbaStr) {
+  if (!rgbaStr || typeof rgbaStr !== 'string') return null;
+
+  // Match rgba(r, g, b, a) or rgb(r, g, b)
+  const rgbaMatch = rgbaStr.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+  if (!rgbaMatch) return null;
+
+  const r = parseInt(rgbaMatch[1], 10);
+  const g = parseInt(rgbaMatch[2], 10);
+  const b = parseInt(rgbaMatch[3], 10);
+  const a = rgbaMatch[4] ? parseFloat(rgbaMatch[4]) : 1;
+
+  // Convert to hex
+  const toHex = (n) => {
+    const hex = Math.round(n).toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  };
+
+  return {
+    hex: `#${toHex(r)}${toHex(g)}${toHex(b)}`,
+    opacity: a < 1 ? Math.round(a * 100) : null
+  };
+}
+
+const isLiteralColor = (value) => typeof value === 'string' &&
+  (value.startsWith('#') || value.startsWith('rgba(') || value.startsWith('rgb('));
+
+/**
+ * Resolve a token reference recursively to its final color value in a mode, or null
+ */
+export function resolveTokenColor(getNode, tokenId, mode, visited = new Set()) {
+  // Prevent infinite loops
+  if (visited.has(tokenId)) {
+    return null;
+  }
+  visited.add(tokenId);
+
+  const token = getNode(tokenId);
+  if (!token) {
+    return null;
+  }
+
+  // If it's a primitive with a color, return it
+  if (token.color) {
+    return token.color;
+  }
+
+  // Also check token.value if it's a direct color
+  if (token.value && isLiteralColor(token.value)) {
+    return token.value;
+  }
+
+  // If it has modes, check the selected mode
+  if (token.modes && mode && token.modes[mode]) {
+    const value = token.modes[mode];
+
+    // If it's a color (hex, rgba, or rgb), return it
+    if (isLiteralColor(value)) {
+      return value;
+    }
+
+    // If it's a reference to another token, resolve it
+    if (typeof value === 'string') {
+      return resolveTokenColor(getNode, value, mode, visited);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a token reference and return both color and opacity ({ color, opacity })
+ * Opacity comes from the first token in the chain that has one (an opacity property or an opacity token name)
+ */
+export function resolveTokenWithOpacity(getNode, tokenId, mode, visited = new Set()) {
+  // Prevent infinite loops
+  if (visited.has(tokenId)) {
+    return { color: null, opacity: null };
+  }
+  visited.add(tokenId);
+
+  const token = getNode(tokenId);
+  if (!token) {
+    return { color: null, opacity: null };
+  }
+
+  // Check if token name indicates it's an opacity token (e.g., "opacity.neutral.72")
+  const opacityFromName = extractOpacityFromName(token.id) || extractOpacityFromName(token.name);
+
+  // If this token has opacity property, use it
+  let opacity = null;
+  if (token.opacity !== undefined && token.opacity !== null) {
+    opacity = token.opacity;
+  } else if (opacityFromName !== null) {
+    // Extract opacity from token name if it's an opacity token
+    opacity = opacityFromName;
+  }
+
+  // If we have opacity, we need to resolve the base color
+  if (opacity !== null) {
+    // For opacity tokens, the color should be resolved from the base color
+    // e.g., opacity.neutral.72 should resolve to the neutral color
+    const color = token.color || resolveTokenColor(getNode, tokenId, mode);
+    return { color, opacity };
+  }
+
+  // If it's a primitive with a color, return it
+  if (token.color) {
+    return { color: token.color, opacity: null };
+  }
+
+  // If it has modes, check the selected mode
+  if (token.modes && mode && token.modes[mode]) {
+    const value = token.modes[mode];
+
+    // If it's a hex color, return it
+    if (typeof value === 'string' && value.startsWith('#')) {
+      return { color: value, opacity: null };
+    }
+
+    // If it's a reference to another token, resolve it recursively
+    if (typeof value === 'string') {
+      return resolveTokenWithOpacity(getNode, value, mode, visited);
+    }
+  }
+
+  return { color: null, opacity: null };
+}
+
+/**
+ * The color a node's swatch shows in a mode (with the opacity applied as a hex alpha), or null
+ */
+export function getSwatchColor(node, getNode, mode) {
+  if (node.isLayerGroup || node.isGroup) {
+    return null;
+  }
+
+  // Resolve color and opacity (checking referenced tokens for opacity)
+  const { color: resolvedColor, opacity: resolvedOpacity } = resolveTokenWithOpacity(getNode, node.id, mode);
+
+  // Use node's own opacity if it exists, otherwise use resolved opacity
+  const opacity = node.opacity !== undefined && node.opacity !== null
+    ? node.opacity
+    : resolvedOpacity;
+
+  // Apply opacity to the swatch color if we have it
+  if (opacity !== null && opacity !== undefined) {
+    const baseColor = resolvedColor || node.color || '#000000';
+    // Convert opacity percentage to hex alpha (0-255)
+    const alphaHex = Math.round((opacity / 100) * 255).toString(16).padStart(2, '0');
+    // Return color with alpha channel
+    if (baseColor && baseColor.length === 7) { // #RRGGBB format
+      return baseColor + alphaHex;
+    }
+    return baseColor;
+  }
+
+  // Return resolved color if it's a valid color format (hex, rgba, or rgb)
+  if (resolvedColor && isLiteralColor(resolvedColor)) {
+    return resolvedColor;
+  }
+
+  // Also check node.color directly if resolvedColor didn't work
+  if (node.color && isLiteralColor(node.color)) {
+    return node.color;
+  }
+
+  return null;
+}
+
+// Show rgba()/rgb() values as hex ("#RRGGBB @ 72%"); other values are returned as they are
+function formatColor(value) {
+  if (value.startsWith('rgba(') || value.startsWith('rgb(')) {
+    const converted = rgbaToHex(value);
+    if (converted) {
+      return converted.opacity !== null ? `${converted.hex} @ ${converted.opacity}%` : converted.hex;
+    }
+  }
+  return value;
+}
+
+/**
+ * The value label a node shows in a mode: the color for primitives ("#HEX @ opacity%"),
+ * the referenced token's name for other tokens, and child counts for groups
+ */
+export function getDisplayValue(node, getNode, mode) {
+  if (node.isVersion) {
+    return `${node.childCount} layers`;
+  }
+  if (node.isLayerGroup || node.isGroup) {
+    return `${node.childCount} tokens`;
+  }
+
+  // Check if this is an opacity token (by name pattern)
+  const opacityFromName = extractOpacityFromName(node.id) || extractOpacityFromName(node.name);
+
+  // For primitive tokens, show the resolved color with opacity if applicable
+  if (node.layer === 'primitive') {
+    // Resolve color and opacity (checking referenced tokens for opacity)
+    const { color: resolvedColor, opacity: resolvedOpacity } = resolveTokenWithOpacity(getNode, node.id, mode);
+
+    // Get the color to display (prefer resolved, then node.color, then node.value)
+    const colorToDisplay = resolvedColor || node.color || node.value;
+
+    // Convert rgba/rgb to hex if needed
+    let hexColor = null;
+    let opacity = null;
+
+    if (colorToDisplay && typeof colorToDisplay === 'string') {
+      if (colorToDisplay.startsWith('rgba(') || colorToDisplay.startsWith('rgb(')) {
+        const converted = rgbaToHex(colorToDisplay);
+        if (converted) {
+          hexColor = converted.hex;
+          opacity = converted.opacity;
+        }
+      } else if (colorToDisplay.startsWith('#')) {
+        hexColor = colorToDisplay;
+      }
+    }
+
+    // Use node's own opacity if it exists, otherwise use resolved opacity, or extracted from rgba, or from name
+    const finalOpacity = node.opacity !== undefined && node.opacity !== null
+      ? node.opacity
+      : (resolvedOpacity !== null && resolvedOpacity !== undefined
+        ? resolvedOpacity
+        : (opacity !== null ? opacity : opacityFromName));
+
+    // If we have a hex color and opacity, format as "#HEX @ opacity%"
+    if (hexColor && finalOpacity !== null && finalOpacity !== undefined) {
+      return `${hexColor} @ ${finalOpacity}%`;
+    }
+
+    // If we have a hex color, just return it
+    if (hexColor) {
+      return hexColor;
+    }
+
+    // Fallback to original color if conversion failed
+    if (colorToDisplay) {
+      return colorToDisplay;
+    }
+  } else {
+    // For non-primitive tokens (semantic, component, global, shared), show the referenced token name
+    // The actual connection will be shown as a line, not text
+    if (node.modes && mode && node.modes[mode]) {
+      const reference = node.modes[mode];
+      // Only show if it's a token reference (not a hex color or rgba)
+      if (typeof reference === 'string' && !isLiteralColor(reference)) {
+        return reference;
+      }
+    }
+    // Fallback: check node.value if it's a reference
+    if (node.value && typeof node.value === 'string' && !isLiteralColor(node.value)) {
+      return node.value;
+    }
+  }
+
+  // Fallback: try to resolve color for display
+  const resolvedColor = resolveTokenColor(getNode, node.id, mode);
+  if (resolvedColor) {
+    return formatColor(resolvedColor);
+  }
+
+  // Final fallback
+  if (node.modes && mode && node.modes[mode]) {
+    const modeValue = node.modes[mode];
+    return typeof modeValue === 'string' ? formatColor(modeValue) : modeValue;
+  }
+
+  return '';
+}
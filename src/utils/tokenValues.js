@@ -0,0 +1,103 @@
+/**
+ * Look up token values per mode and follow references down to literal values
+ * Shared by the exporters and reports so they all resolve a token the same way the canvas does:
+ * a token's value in a mode is node.modes[mode], falling back to node.value
+ */
+
+import { createAliasResolver } from './aliasResolver';
+import { getReferenceId, looksLikeReference } from './references';
+
+/**
+ * Get a token's raw value in a mode (node.modes[mode], or node.value when the mode has no entry)
+ */
+export function getModeValue(node, mode) {
+  if (node.modes && mode && node.modes[mode] !== undefined && node.modes[mode] !== null) {
+    return node.modes[mode];
+  }
+  return node.value;
+}
+
+/**
+ * Whether a graph node is a token rather than a layout helper (layer group, group or version node)
+ */
+export function isTokenNode(node) {
+  return !node.isLayerGroup && !node.isGroup && !node.isVersion;
+}
+
+/**
+ * Create a value resolver for a graph
+ * getReference(tokenId, mode) - id of the token referenced in that mode, or null for literals
+ * resolve(tokenId, mode) - { value, chain, unresolved, circular }: the literal at the end of the
+ * reference chain, the token ids walked (starting with tokenId), and whether the chain ends in a
+ * reference to a missing token or loops back on itself (a token referencing itself included)
+ */
+export function createValueResolver(graph) {
+  const nodes = (graph.nodes || []).filter(isTokenNode);
+  const nodeMap = new Map(nodes.map(node => [node.id, node]));
+  const aliasResolver = createAliasResolver(nodes);
+
+  const getReference = (tokenId, mode) => {
+    const node = nodeMap.get(tokenId);
+    if (!node) return null;
+    const value = getModeValue(node, mode);
+    const targetId = getReferenceId(value, aliasResolver);
+    // A bare word naming the token itself ("white": "white") is a literal; "{white}" references itself
+    if (targetId === tokenId && !looksLikeReference(value)) return null;
+    return targetId || null;
+  };
+
+  const resolve = (tokenId, mode) => {
+    const chain = [];
+    let currentId = tokenId;
+    while (currentId) {
+      if (chain.includes(currentId)) {
+        return { value: null, chain, unresolved: false, circular: true };
+      }
+      chain.push(currentId);
+      const node = nodeMap.get(currentId);
+      if (!node) {
+        return { value: null, chain, unresolved: true, circular: false };
+      }
+      const targetId = getReference(currentId, mode);
+      if (!targetId) {
+        const value = getModeValue(node, mode);
+        return { value, chain, unresolved: looksLikeReference(value), circular: false };
+      }
+      currentId = targetId;
+    }
+    return { value: null, chain, unresolved: false, circular: false };
+  };
+
+  return { nodes, nodeMap, aliasResolver, getReference, resolve };
+}
+
+/**
+ * Every reference between tokens, per mode: [{ source, target, mode }] (mode is null for graphs without modes)
+ * Combines what each token references in each mode, including values that fall back to node.value,
+ * with the graph's reference links, which also cover aliases inside composite values. A link without
+ * a mode counts for every mode
+ */
+export function getReferenceEdges(graph, resolver = createValueResolver(graph)) {
+  const { nodes, nodeMap, getReference } = resolver;
+  const modes = graph.availableModes && graph.availableModes.length > 0 ? graph.availableModes : [null];
+  const edges = new Map(); // "source->target@mode" -> edge
+  // Self-references are left to the cycle report
+  const addEdge = (source, target, mode) => {
+    if (source === target) return;
+    const key = `${source}->${target}@${mode}`;
+    if (!edges.has(key)) edges.set(key, { source, target, mode });
+  };
+
+  modes.forEach(mode => {
+    nodes.forEach(node => {
+      const targetId = getReference(node.id, mode);
+      if (targetId && nodeMap.has(targetId)) addEdge(node.id, targetId, mode);
+    });
+  });
+  (graph.links || []).forEach(link => {
+    if (link.type !== 'reference' || !nodeMap.has(link.source) || !nodeMap.has(link.target)) return;
+    (link.mode ? modes.filter(mode => mode === link.mode) : modes).forEach(mode => addEdge(link.source, link.target, mode));
+  });
+
+  return Array.from(edges.values());
+}
@@ -0,0 +1,241 @@
+/**
+ * Parser for Tokens Studio (Figma Tokens) multi-set JSON exports
+ * Top-level keys are token sets; $metadata.tokenSetOrder gives the order sets are merged in
+ * (later sets override earlier ones) and each $themes entry enables a subset of the sets
+ * Each set becomes a layer and each theme becomes a mode
+ */
+
+import { isColorValue, resolveReferenceColor } from './colorUtils';
+import { collectAliases, getWholeAlias } from './dtcgParser';
+import { matchLayerRule } from './layerRules';
+
+// Mode name used when the file has no $themes (all sets active)
+const DEFAULT_MODE = 'default';
+
+// Set statuses that make a set's tokens available in a theme ("source" sets are reference-only in Tokens Studio)
+const ACTIVE_SET_STATUSES = ['enabled', 'source'];
+
+/**
+ * Check if parsed JSON looks like a Tokens Studio multi-set export
+ */
+export function isTokensStudioFormat(jsonData) {
+  if (!jsonData || typeof jsonData !== 'object') return false;
+  const metadata = jsonData.$metadata;
+  return Array.isArray(jsonData.$themes) || Boolean(metadata && Array.isArray(metadata.tokenSetOrder));
+}
+
+// Tokens are objects with a value ($value in newer exports); a plain object "value" without a type is a group
+function isToken(obj) {
+  if ('$value' in obj) return true;
+  if (!('value' in obj)) return false;
+  return obj.type !== undefined || typeof obj.value !== 'object' || obj.value === null;
+}
+
+// Legacy exports reference tokens as "$blue.1"; convert to the {blue.1} alias form
+function normalizeReference(value) {
+  if (typeof value === 'string' && /^\$[\w.-]+$/.test(value)) {
+    return `{${value.slice(1)}}`;
+  }
+  return value;
+}
+
+// Normalize a token value to the string form used by graph nodes
+function normalizeValue(rawValue) {
+  if (rawValue === null || rawValue === undefined) return null;
+  if (typeof rawValue === 'string') return rawValue;
+  if (typeof rawValue === 'number' || typeof rawValue === 'boolean') return String(rawValue);
+  return JSON.stringify(rawValue);
+}
+
+// Flatten one token set into a Map of token path -> { value, type, description }
+function flattenSet(obj, path = [], inheritedType = null, tokens = new Map()) {
+  Object.keys(obj).forEach(key => {
+    if (key.startsWith('$')) return;
+    const value = obj[key];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return;
+
+    const currentPath = [...path, key];
+    if (!isToken(value)) {
+      flattenSet(value, currentPath, value.$type || value.type || inheritedType, tokens);
+      return;
+    }
+
+    tokens.set(currentPath.join('.'), {
+      value: normalizeReference('$value' in value ? value.$value : value.value),
+      type: value.$type || value.type || inheritedType,
+      description: value.$description || value.description || ''
+    });
+  });
+  return tokens;
+}
+
+// Token set names in merge order: $metadata.tokenSetOrder first, then any sets it doesn't list
+function getSetOrder(data) {
+  const setNames = Object.keys(data).filter(key => {
+    return !key.startsWith('$') && data[key] && typeof data[key] === 'object' && !Array.isArray(data[key]);
+  });
+  const metadataOrder = (data.$metadata && Array.isArray(data.$metadata.tokenSetOrder))
+    ? data.$metadata.tokenSetOrder.filter(name => setNames.includes(name))
+    : [];
+  return [...metadataOrder, ...setNames.filter(name => !metadataOrder.includes(name))];
+}
+
+/**
+ * Turn $themes into modes: [{ mode, activeSets }]
+ * Theme names that repeat across theme groups are prefixed with the group ("Brand/Light")
+ */
+function getThemeModes(themes, setOrder) {
+  if (!Array.isArray(themes) || themes.length === 0) {
+    return [{ mode: DEFAULT_MODE, activeSets: new Set(setOrder) }];
+  }
+
+  const nameCounts = new Map();
+  themes.forEach(theme => {
+    const name = theme.name || theme.id;
+    nameCounts.set(name, (nameCounts.get(name) || 0) + 1);
+  });
+
+  return themes
+    .filter(theme => theme && (theme.name || theme.id))
+    .map(theme => {
+      const name = theme.name || theme.id;
+      const mode = nameCounts.get(name) > 1 && theme.group ? `${theme.group}/${name}` : name;
+      const selectedSets = theme.selectedTokenSets || {};
+      const activeSets = new Set(Object.keys(selectedSets).filter(setName => {
+        return ACTIVE_SET_STATUSES.includes(selectedSets[setName]);
+      }));
+      return { mode, activeSets };
+    });
+}
+
+/**
+ * Convert a Tokens Studio export to graph format
+ * Options: { setLayers } - map of set name -> layer (defaults to the set name),
+ *          { layerRules } - token path rules checked when a set has no entry in setLayers
+ * A token's layer comes from the first set (in tokenSetOrder) that defines it; its value in each mode
+ * comes from the last set enabled in that theme that defines it
+ */
+export function convertTokensStudioToGraph(data, options = {}) {
+  const { setLayers = {}, layerRules = [] } = options;
+
+  const setOrder = getSetOrder(data);
+  if (setOrder.length === 0) {
+    throw new Error('No token sets found');
+  }
+
+  const tokensBySet = new Map();
+  const tokenOrder = [];
+  const seenTokens = new Set();
+  setOrder.forEach(setName => {
+    const tokens = flattenSet(data[setName]);
+    tokensBySet.set(setName, tokens);
+    tokens.forEach((_, tokenPath) => {
+      if (!seenTokens.has(tokenPath)) {
+        seenTokens.add(tokenPath);
+        tokenOrder.push(tokenPath);
+      }
+    });
+  });
+
+  const themeModes = getThemeModes(data.$themes, setOrder);
+
+  const nodes = [];
+  const tokenMap = new Map();
+  const rawValues = new Map(); // tokenPath -> { mode: raw value }, used to build links
+
+  tokenOrder.forEach(tokenPath => {
+    const definingSets = setOrder.filter(setName => tokensBySet.get(setName).has(tokenPath));
+    const ownerSet = definingSets[0];
+    const definitions = definingSets.map(setName => tokensBySet.get(setName).get(tokenPath));
+    const lastDefinition = definitions[definitions.length - 1];
+    const describedDefinition = [...definitions].reverse().find(definition => definition.description);
+
+    // Resolve set enablement per theme: the last active set that defines the token wins
+    const rawModes = {};
+    themeModes.forEach(({ mode, activeSets }) => {
+      const activeDefinitions = definingSets.filter(setName => activeSets.has(setName));
+      if (activeDefinitions.length > 0) {
+        const setName = activeDefinitions[activeDefinitions.length - 1];
+        rawModes[mode] = tokensBySet.get(setName).get(tokenPath).value;
+      }
+    });
+    rawValues.set(tokenPath, rawModes);
+
+    const modeValues = Object.values(rawModes).map(normalizeValue);
+    const hasAlias = Object.values(rawModes).some(value => collectAliases(value).length > 0);
+    const isConstant = modeValues.every(value => value === modeValues[0]);
+    const defaultValue = normalizeValue(modeValues.length > 0 ? Object.values(rawModes)[0] : lastDefinition.value);
+
+    const token = {
+      id: tokenPath,
+      name: tokenPath,
+      type: lastDefinition.type || 'unknown',
+      layer: setLayers[ownerSet] || matchLayerRule(tokenPath, layerRules) || ownerSet,
+      value: getWholeAlias(defaultValue) || defaultValue,
+      description: describedDefinition ? describedDefinition.description : ''
+    };
+
+    // Literals shared by every mode have no modes; aliases and per-theme values are stored per mode
+    if (modeValues.length > 0 && (hasAlias || !isConstant)) {
+      token.modes = {};
+      Object.keys(rawModes).forEach(mode => {
+        const modeValue = normalizeValue(rawModes[mode]);
+        token.modes[mode] = getWholeAlias(modeValue) || modeValue;
+      });
+    }
+
+    if (isColorValue(token.value)) {
+      token.color = token.value;
+    }
+
+    tokenMap.set(tokenPath, token);
+    nodes.push(token);
+  });
+
+  nodes.forEach(node => {
+    if (!node.color) {
+      const firstMode = node.modes ? Object.keys(node.modes)[0] : null;
+      const resolved = resolveReferenceColor(tokenMap, node.id, firstMode);
+      if (resolved) {
+        node.color = resolved;
+      }
+    }
+  });
+
+  // Build reference links per mode from every alias (including aliases inside composite values)
+  const links = [];
+  const linkKeys = new Set();
+  nodes.forEach(node => {
+    if (!node.modes) return;
+    const rawModes = rawValues.get(node.id);
+    Object.keys(node.modes).forEach(mode => {
+      collectAliases(rawModes[mode]).forEach(aliasPath => {
+        const linkKey = `${node.id}->${aliasPath}@${mode}`;
+        if (aliasPath !== node.id && tokenMap.has(aliasPath) && !linkKeys.has(linkKey)) {
+          linkKeys.add(linkKey);
+          links.push({
+            source: node.id,
+            target: aliasPath,
+            type: 'reference',
+            mode: mode
+          });
+        }
+      });
+    });
+  });
+
+  // Modes keep the $themes order so the first theme is selected after import
+  const usedModes = new Set();
+  nodes.forEach(node => {
+    if (node.modes) Object.keys(node.modes).forEach(mode => usedModes.add(mode));
+  });
+  const availableModes = themeModes.map(({ mode }) => mode).filter(mode => usedModes.has(mode));
+
+  return {
+    nodes,
+    links,
+    availableModes,
+    version: null,
+    allVersions: []
+  };
+}
@@ -0,0 +1,592 @@
+/**
+ * Static (non-executing) parser for token definitions in .ts/.tsx files
+ *
+ * Reads `export const X = {...}` / `as const` object literals from a primitives module
+ * and a semantic module. Primitive leaves are literal values (colors); semantic leaves are
+ * identifiers or member expressions pointing into the primitives module, e.g.
+ *
+ *   // primitives.ts
+ *   export const NEUTRAL_69 = '#1c1c20';
+ *   export const blue = { 1: '#b3e0ea' } as const;
+ *
+ *   // semantic.ts
+ *   import { NEUTRAL_69, blue } from './primitives';
+ *   export const text = { strong: { light: blue[1], dark: NEUTRAL_69 } } as const;
+ *
+ * SCREAMING_SNAKE names become dotted ids (NEUTRAL_69 -> neutral.69); the original
+ * access path is kept as originalName.
+ */
+
+import { isColorValue, resolveReferenceColor } from './colorUtils';
+import { matchLayerRule } from './layerRules';
+import { DIAGNOSTIC_KINDS, createDiagnostic } from './diagnostics';
+
+const DEFAULT_MODE = 'default';
+
+/**
+ * Object keys recognized as mode names when a leaf object maps modes to values
+ * (e.g. { light: NEUTRAL_1, dark: NEUTRAL_69 })
+ */
+export const DEFAULT_TS_MODE_NAMES = ['default', 'light', 'dark', 'darker', 'midnight'];
+
+const PUNCTUATION = new Set(['{', '}', '[', ']', '(', ')', ',', ':', ';', '.', '=', '<', '>', '|', '&', '?', '-', '+', '*', '/', '!']);
+
+// Split source into identifier, string, number and punctuation tokens (comments dropped)
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '/' && source[i + 1] === '/') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (char === '/' && source[i + 1] === '*') {
+      const end = source.indexOf('*/', i + 2);
+      i = end === -1 ? source.length : end + 2;
+    } else if (char === '"' || char === "'" || char === '`') {
+      const start = i;
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\') {
+          value += source[i + 1];
+          i += 2;
+        } else {
+          value += source[i];
+          i++;
+        }
+      }
+      i++;
+      // Template literals with substitutions can't be evaluated statically
+      tokens.push({ type: char === '`' && value.includes('${') ? 'raw' : 'string', value, start, end: i });
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+      const start = i;
+      while (i < source.length && /[0-9a-fA-FxX._]/.test(source[i])) i++;
+      tokens.push({ type: 'number', value: source.slice(start, i).replace(/_/g, ''), start, end: i });
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const start = i;
+      while (i < source.length && /[A-Za-z0-9_$]/.test(source[i])) i++;
+      tokens.push({ type: 'ident', value: source.slice(start, i), start, end: i });
+    } else if (char === '.' && source[i + 1] === '.' && source[i + 2] === '.') {
+      tokens.push({ type: 'punct', value: '...', start: i, end: i + 3 });
+      i += 3;
+    } else {
+      tokens.push({ type: PUNCTUATION.has(char) ? 'punct' : 'other', value: char, start: i, end: i + 1 });
+      i++;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a module's imports and top-level const declarations into a small AST
+ * Values: { kind: 'object', entries: [[key, value]] }, { kind: 'array', items },
+ *         { kind: 'literal', value }, { kind: 'ref', path: ['NAME', 'key', ...] }, { kind: 'raw', text }
+ */
+function parseModule(source) {
+  const tokens = tokenize(source);
+  const imports = new Map(); // local name -> { imported, namespace }
+  const declarations = new Map(); // const name -> value
+  const exported = new Set();
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+  const isIdent = (token, value) => token && token.type === 'ident' && (value === undefined || token.value === value);
+
+  // Skip tokens until one of the stop punctuators at depth 0 (used for types and unsupported syntax)
+  function skipUntil(stops) {
+    let depth = 0;
+    while (pos < tokens.length) {
+      const token = peek();
+      if (token.type === 'punct') {
+        if (depth === 0 && stops.includes(token.value)) return;
+        if (['{', '[', '(', '<'].includes(token.value)) depth++;
+        if (['}', ']', ')', '>'].includes(token.value)) {
+          if (depth === 0) return;
+          depth--;
+        }
+      }
+      pos++;
+    }
+  }
+
+  // Skip a bracketed group starting at the current token, including nested groups
+  function skipBalanced() {
+    const open = peek().value;
+    const close = { '{': '}', '[': ']', '(': ')', '<': '>' }[open];
+    let depth = 0;
+    while (pos < tokens.length) {
+      const token = peek();
+      pos++;
+      if (isPunct(token, open)) depth++;
+      else if (isPunct(token, close) && --depth === 0) return;
+    }
+  }
+
+  // Skip a type after `as` / `satisfies` (e.g. const, Record<string, string>, Foo['bar'] | Baz[])
+  function skipType() {
+    do {
+      if (isPunct(peek(), '|') || isPunct(peek(), '&')) pos++;
+      if (isPunct(peek(), '{') || isPunct(peek(), '(') || isPunct(peek(), '[')) {
+        skipBalanced();
+      } else if (isIdent(peek()) || peek()?.type === 'string') {
+        pos++;
+        while (isPunct(peek(), '.') && isIdent(peek(1))) pos += 2;
+      }
+      if (isPunct(peek(), '<')) skipBalanced();
+      while (isPunct(peek(), '[')) skipBalanced();
+    } while (isPunct(peek(), '|') || isPunct(peek(), '&'));
+  }
+
+  // Skip the `from './module'` clause and optional semicolon that end an import
+  function skipImportSource() {
+    while (pos < tokens.length && !isIdent(peek(), 'from') && peek().type !== 'string') pos++;
+    if (isIdent(peek(), 'from')) pos++;
+    if (peek()?.type === 'string') pos++;
+    if (isPunct(peek(), ';')) pos++;
+  }
+
+  function parseImport() {
+    pos++; // import
+    if (isIdent(peek(), 'type')) {
+      skipImportSource();
+      return;
+    }
+    const specifiers = [];
+    if (isIdent(peek())) {
+      specifiers.push({ local: peek().value, imported: 'default' });
+      pos++;
+      if (isPunct(peek(), ',')) pos++;
+    }
+    if (isPunct(peek(), '*')) {
+      pos++; // *
+      pos++; // as
+      specifiers.push({ local: peek().value, namespace: true });
+      pos++;
+    } else if (isPunct(peek(), '{')) {
+      pos++;
+      while (pos < tokens.length && !isPunct(peek(), '}')) {
+        if (isIdent(peek(), 'type') && isIdent(peek(1))) pos++;
+        const imported = peek().value;
+        pos++;
+        let local = imported;
+        if (isIdent(peek(), 'as')) {
+          pos++;
+          local = peek().value;
+          pos++;
+        }
+        specifiers.push({ local, imported });
+        if (isPunct(peek(), ',')) pos++;
+      }
+      pos++; // }
+    }
+    specifiers.forEach(spec => imports.set(spec.local, spec));
+    skipImportSource();
+  }
+
+  function parseValue() {
+    const token = peek();
+    if (!token) return { kind: 'raw', text: '' };
+    const start = token.start;
+    let value;
+
+    if (isPunct(token, '{')) {
+      pos++;
+      const entries = [];
+      while (pos < tokens.length && !isPunct(peek(), '}')) {
+        if (isPunct(peek(), '...')) {
+          pos++;
+          entries.push([null, parseValue()]); // Spread: merged when flattening
+        } else {
+          let key;
+          if (isPunct(peek(), '[')) {
+            pos++;
+            key = peek().value;
+            skipUntil([']']);
+            pos++;
+          } else {
+            key = peek().value;
+            pos++;
+          }
+          if (isPunct(peek(), ':')) {
+            pos++;
+            entries.push([String(key), parseValue()]);
+          } else {
+            entries.push([String(key), { kind: 'ref', path: [String(key)] }]); // Shorthand property
+          }
+        }
+        if (isPunct(peek(), ',')) pos++;
+        else if (!isPunct(peek(), '}')) skipUntil([',', '}']);
+      }
+      pos++; // }
+      value = { kind: 'object', entries };
+    } else if (isPunct(token, '[')) {
+      pos++;
+      const items = [];
+      while (pos < tokens.length && !isPunct(peek(), ']')) {
+        items.push(parseValue());
+        if (isPunct(peek(), ',')) pos++;
+        else if (!isPunct(peek(), ']')) skipUntil([',', ']']);
+      }
+      pos++; // ]
+      value = { kind: 'array', items };
+    } else if (token.type === 'string') {
+      pos++;
+      value = { kind: 'literal', value: token.value };
+    } else if (token.type === 'number' || (isPunct(token, '-') && peek(1)?.type === 'number')) {
+      const negative = isPunct(token, '-');
+      if (negative) pos++;
+      const number = Number(peek().value);
+      pos++;
+      value = { kind: 'literal', value: negative ? -number : number };
+    } else if (isIdent(token) && !['true', 'false', 'null', 'undefined'].includes(token.value)) {
+      const path = [token.value];
+      pos++;
+      while (pos < tokens.length) {
+        if (isPunct(peek(), '.') && isIdent(peek(1))) {
+          path.push(peek(1).value);
+          pos += 2;
+        } else if (isPunct(peek(), '[') && (peek(1)?.type === 'string' || peek(1)?.type === 'number') && isPunct(peek(2), ']')) {
+          path.push(String(peek(1).value));
+          pos += 3;
+        } else {
+          break;
+        }
+      }
+      if (isPunct(peek(), '(')) {
+        // Function calls (e.g. rgba(0, 0, 0, 0.5)) are kept as source text
+        pos++;
+        skipUntil([')']);
+        pos++;
+        value = { kind: 'raw', text: source.slice(start, tokens[pos - 1].end) };
+      } else {
+        value = { kind: 'ref', path };
+      }
+    } else {
+      skipUntil([',', '}', ']', ';']);
+      value = { kind: 'raw', text: source.slice(start, tokens[pos - 1]?.end ?? start).trim() };
+    }
+
+    // Type assertions: `as const`, `as Foo`, `satisfies Foo`
+    while (isIdent(peek(), 'as') || isIdent(peek(), 'satisfies')) {
+      pos++;
+      skipType();
+    }
+    return value;
+  }
+
+  function parseConst(isExported) {
+    pos++; // const
+    while (pos < tokens.length) {
+      if (!isIdent(peek())) {
+        // Destructuring declarations aren't token definitions
+        skipUntil([';']);
+        return;
+      }
+      const name = peek().value;
+      pos++;
+      if (isPunct(peek(), ':')) {
+        pos++;
+        skipUntil(['=', ';']);
+      }
+      if (!isPunct(peek(), '=')) return;
+      pos++;
+      declarations.set(name, parseValue());
+      if (isExported) exported.add(name);
+      if (isPunct(peek(), ',')) {
+        pos++;
+        continue;
+      }
+      return;
+    }
+  }
+
+  while (pos < tokens.length) {
+    const token = peek();
+    if (isIdent(token, 'import') && !isPunct(peek(1), '(')) {
+      parseImport();
+    } else if (isIdent(token, 'export') && isIdent(peek(1), 'const')) {
+      pos++;
+      parseConst(true);
+    } else if (isIdent(token, 'export') && isIdent(peek(1), 'default') && isPunct(peek(2), '{')) {
+      pos += 2;
+      declarations.set('default', parseValue());
+      exported.add('default');
+    } else if (isIdent(token, 'const') && (pos === 0 || !isIdent(peek(-1), 'export'))) {
+      parseConst(false);
+    } else if (isIdent(token, 'export') && isPunct(peek(1), '{')) {
+      // export { a, b as c }
+      pos += 2;
+      while (pos < tokens.length && !isPunct(peek(), '}')) {
+        const local = peek().value;
+        pos++;
+        let name = local;
+        if (isIdent(peek(), 'as')) {
+          pos++;
+          name = peek().value;
+          pos++;
+        }
+        if (declarations.has(local)) {
+          declarations.set(name, declarations.get(local));
+          exported.add(name);
+        }
+        if (isPunct(peek(), ',')) pos++;
+      }
+      pos++;
+    } else {
+      pos++;
+    }
+  }
+
+  return { imports, declarations, exported };
+}
+
+// NEUTRAL_69 -> neutral.69; other segments are kept as written
+function segmentToId(segment) {
+  if (/^[A-Z0-9_]+$/.test(segment) && /[A-Z]/.test(segment)) {
+    return segment.toLowerCase().replace(/_/g, '.');
+  }
+  return segment;
+}
+
+/**
+ * Convert an access path (['NEUTRAL_69'] or ['colors', 'neutral', '69']) to a token id
+ */
+export function tsPathToTokenId(path) {
+  return path.map(segmentToId).join('.');
+}
+
+// Look up a nested value in a module by access path, following spreads
+function getValueAtPath(value, path) {
+  let current = value;
+  for (const key of path) {
+    if (!current) return null;
+    if (current.kind === 'object') {
+      let next = null;
+      current.entries.forEach(([entryKey, entryValue]) => {
+        if (entryKey === key) next = entryValue;
+      });
+      current = next;
+    } else if (current.kind === 'array') {
+      current = current.items[Number(key)] || null;
+    } else {
+      return null;
+    }
+  }
+  return current;
+}
+
+/**
+ * Parse a primitives module and a semantic module (source text) into graph format
+ * Options: { modes } - object keys treated as mode names (default DEFAULT_TS_MODE_NAMES),
+ *          { layerRules } - path-based layer rules for semantic tokens (default layer "semantic")
+ */
+export function parseTSXSources(primitivesSource, semanticSource, options = {}) {
+  const { modes: modeNames = DEFAULT_TS_MODE_NAMES, layerRules = [] } = options;
+  const primitivesModule = parseModule(primitivesSource);
+  const semanticModule = parseModule(semanticSource);
+
+  const nodes = [];
+  const tokenMap = new Map();
+  const primitiveIdsByPath = new Map(); // 'NEUTRAL_69' / 'colors.neutral.69' -> token id
+  const allModes = new Set();
+  const diagnostics = [];
+
+  // Flatten primitive exports: every literal leaf is a primitive token
+  function addPrimitives(value, path) {
+    if (!value) return;
+    if (value.kind === 'object') {
+      value.entries.forEach(([key, entryValue]) => {
+        if (key === null) addPrimitives(entryValue, path); // Spread
+        else addPrimitives(entryValue, [...path, key]);
+      });
+      return;
+    }
+    if (value.kind === 'array') {
+      value.items.forEach((item, index) => addPrimitives(item, [...path, String(index)]));
+      return;
+    }
+    if (value.kind !== 'literal' && value.kind !== 'raw') return;
+
+    const rawValue = value.kind === 'literal' ? String(value.value) : value.text;
+    const id = tsPathToTokenId(path);
+    const token = {
+      id,
+      name: id,
+      originalName: path.join('.'),
+      type: isColorValue(rawValue) ? 'color' : 'unknown',
+      layer: 'primitive',
+      value: rawValue,
+      description: ''
+    };
+    if (isColorValue(rawValue)) {
+      token.color = rawValue;
+    }
+    if (!tokenMap.has(id)) {
+      tokenMap.set(id, token);
+      nodes.push(token);
+    }
+    primitiveIdsByPath.set(path.join('.'), id);
+  }
+
+  primitivesModule.exported.forEach(name => {
+    const value = primitivesModule.declarations.get(name);
+    // A default export's keys are the palettes themselves
+    addPrimitives(value, name === 'default' ? [] : [name]);
+  });
+
+  // Resolve a semantic leaf to a token reference or literal value
+  function resolveLeaf(value) {
+    if (value.kind === 'literal') {
+      const literal = String(value.value);
+      return tokenMap.has(literal) ? { ref: literal } : { literal };
+    }
+    if (value.kind === 'raw') {
+      return { literal: value.text };
+    }
+    if (value.kind !== 'ref') return null;
+
+    const [root, ...rest] = value.path;
+    const imported = semanticModule.imports.get(root);
+    if (imported) {
+      // Named import points at an export; namespace import's first member is the export
+      const exportPath = imported.namespace ? rest : [imported.imported, ...rest];
+      const lookupPath = exportPath[0] === 'default' ? exportPath.slice(1) : exportPath;
+      const id = primitiveIdsByPath.get(lookupPath.join('.'));
+      if (id) return { ref: id };
+      // Unknown primitive: keep the converted id so the reference is still visible
+      return { ref: tsPathToTokenId(lookupPath), unresolved: true };
+    }
+    if (semanticModule.declarations.has(root)) {
+      // Local constant: either a plain value or a reference to another semantic token
+      const local = getValueAtPath(semanticModule.declarations.get(root), rest);
+      if (local && local.kind !== 'object' && local.kind !== 'array' && local !== value) {
+        if (!semanticModule.exported.has(root)) return resolveLeaf(local);
+      }
+      return { ref: tsPathToTokenId(semanticModule.exported.has(root) ? value.path : rest) };
+    }
+    return { ref: tsPathToTokenId(value.path), unresolved: true };
+  }
+
+  const isLeaf = (value) => value && value.kind !== 'object' && value.kind !== 'array';
+  const isModeMap = (value) => value.kind === 'object' &&
+    value.entries.length > 0 &&
+    value.entries.every(([key, entryValue]) => key !== null && modeNames.includes(key) && isLeaf(entryValue));
+
+  const semanticTokens = new Map(); // id -> { path, modes: { mode: leaf } }
+
+  function addSemantic(value, path, exportMode) {
+    if (!value) return;
+    if (isModeMap(value)) {
+      const tokenId = tsPathToTokenId(path);
+      const entry = semanticTokens.get(tokenId) || { path, modes: {} };
+      value.entries.forEach(([mode, leaf]) => {
+        entry.modes[mode] = leaf;
+        allModes.add(mode);
+      });
+      semanticTokens.set(tokenId, entry);
+      return;
+    }
+    if (value.kind === 'object') {
+      value.entries.forEach(([key, entryValue]) => {
+        if (key === null) addSemantic(entryValue, path, exportMode);
+        else addSemantic(entryValue, [...path, key], exportMode);
+      });
+      return;
+    }
+    if (value.kind === 'array') return;
+
+    const tokenId = tsPathToTokenId(path);
+    const entry = semanticTokens.get(tokenId) || { path, modes: {} };
+    entry.modes[exportMode || DEFAULT_MODE] = value;
+    allModes.add(exportMode || DEFAULT_MODE);
+    semanticTokens.set(tokenId, entry);
+  }
+
+  semanticModule.exported.forEach(name => {
+    const value = semanticModule.declarations.get(name);
+    // Exports named like `darkTheme` / `lightMode` hold one mode each
+    const themeMatch = name.match(/^(\w+?)(Theme|Mode)$/);
+    if (themeMatch && value && value.kind === 'object') {
+      addSemantic(value, [], themeMatch[1].toLowerCase());
+    } else {
+      addSemantic(value, name === 'default' ? [] : [name]);
+    }
+  });
+
+  const links = [];
+  const linkKeys = new Set();
+  const modeList = Array.from(allModes).sort();
+
+  semanticTokens.forEach((entry, tokenId) => {
+    const modes = {};
+    const tokenModes = Object.keys(entry.modes);
+    // A value given once (no mode map) applies to every mode
+    const sharedLeaf = tokenModes.length === 1 && tokenModes[0] === DEFAULT_MODE ? entry.modes[DEFAULT_MODE] : null;
+
+    modeList.forEach(mode => {
+      const leaf = sharedLeaf || entry.modes[mode];
+      if (!leaf) return;
+      const resolved = resolveLeaf(leaf);
+      if (!resolved) return;
+      modes[mode] = resolved.ref || resolved.literal;
+      if (resolved.ref) {
+        const key = `${tokenId}->${resolved.ref}@${mode}`;
+        if (!linkKeys.has(key)) {
+          linkKeys.add(key);
+          links.push({ source: tokenId, target: resolved.ref, type: 'reference', mode });
+        }
+      }
+    });
+
+    const defaultValue = modes[DEFAULT_MODE] !== undefined ? modes[DEFAULT_MODE] : modes[Object.keys(modes)[0]];
+    const token = {
+      id: tokenId,
+      name: tokenId,
+      originalName: entry.path.join('.'),
+      type: 'color',
+      layer: matchLayerRule(tokenId, layerRules) || 'semantic',
+      value: defaultValue,
+      description: '',
+      modes
+    };
+    if (tokenMap.has(tokenId)) {
+      diagnostics.push(createDiagnostic(
+        DIAGNOSTIC_KINDS.DUPLICATE_ID,
+        'warning',
+        `${entry.path.join('.')} in the semantic file has the same id as the primitive ${tokenMap.get(tokenId).originalName} and was skipped`,
+        { tokenId, path: entry.path.join('.') }
+      ));
+      return;
+    }
+    tokenMap.set(tokenId, token);
+    nodes.push(token);
+  });
+
+  // Drop links to references that didn't resolve to a token in either file
+  const resolvedLinks = links.filter(link => tokenMap.has(link.target));
+
+  nodes.forEach(node => {
+    if (!node.color && node.modes) {
+      const resolved = resolveReferenceColor(tokenMap, node.id, node.modes[DEFAULT_MODE] !== undefined ? DEFAULT_MODE : modeList[0]);
+      if (resolved) {
+        node.color = resolved;
+      }
+    }
+  });
+
+  if (nodes.length === 0) {
+    throw new Error('No exported token objects found');
+  }
+
+  return {
+    nodes,
+    links: resolvedLinks,
+    availableModes: modeList,
+    version: null,
+    allVersions: [],
+    diagnostics
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Unused tokens: what nothing references, in any of the graph's modes (see getReferenceEdges)
+ * Three kinds of findings:
+ * - unused-primitive: a primitive no token references in any mode
+ * - unconsumed: a semantic token (any layer between primitives and components) that no component
+ *   token reaches, directly or through other tokens' references
+ * - partial-modes: a referenced token that is only referenced in some of the graph's modes
+ */
+
+import { createValueResolver, getReferenceEdges } from './tokenValues';
+
+export const UNUSED_TOKEN_KINDS = [
+  { id: 'unused-primitive', name: 'Unused primitives' },
+  { id: 'unconsumed', name: 'Not used by components' },
+  { id: 'partial-modes', name: 'Used in some modes' }
+];
+
+// Kinds that mean nothing uses the token, as opposed to using it in fewer modes
+const UNUSED_KINDS = ['unused-primitive', 'unconsumed'];
+
+/**
+ * Find unused tokens in a graph
+ * Returns [{ kind, tokenId, layer, referencedBy, usedModes, unusedModes }] in graph order:
+ * referencedBy lists the ids of tokens referencing it, and for partial-modes findings
+ * usedModes / unusedModes split the graph's modes
+ */
+export function findUnusedTokens(graph) {
+  const resolver = createValueResolver(graph);
+  const { nodes } = resolver;
+  const modes = graph.availableModes || [];
+  const layerOf = (node) => node.layer || 'global';
+
+  const referencedBy = new Map(); // target id -> Set of source ids
+  const referencedInModes = new Map(); // target id -> Set of modes
+  const targetsOf = new Map(); // source id -> Set of target ids
+  getReferenceEdges(graph, resolver).forEach(({ source, target, mode }) => {
+    if (!referencedBy.has(target)) {
+      referencedBy.set(target, new Set());
+      referencedInModes.set(target, new Set());
+    }
+    referencedBy.get(target).add(source);
+    referencedInModes.get(target).add(mode);
+    if (!targetsOf.has(source)) targetsOf.set(source, new Set());
+    targetsOf.get(source).add(target);
+  });
+
+  // Every token a component token reaches by following references
+  const componentIds = nodes.filter(node => layerOf(node) === 'component').map(node => node.id);
+  const consumed = new Set();
+  const queue = [...componentIds];
+  while (queue.length > 0) {
+    const tokenId = queue.pop();
+    (targetsOf.get(tokenId) || []).forEach(targetId => {
+      if (consumed.has(targetId)) return;
+      consumed.add(targetId);
+      queue.push(targetId);
+    });
+  }
+
+  const findings = [];
+  nodes.forEach(node => {
+    const layer = layerOf(node);
+    const sources = Array.from(referencedBy.get(node.id) || []);
+    const finding = { tokenId: node.id, layer, referencedBy: sources, usedModes: [], unusedModes: [] };
+
+    if (layer === 'primitive' && sources.length === 0) {
+      findings.push({ ...finding, kind: 'unused-primitive' });
+      return;
+    }
+    // Graphs without component tokens have nothing to consume their semantic tokens
+    if (layer !== 'primitive' && layer !== 'component' && componentIds.length > 0 && !consumed.has(node.id)) {
+      findings.push({ ...finding, kind: 'unconsumed' });
+      return;
+    }
+
+    if (sources.length === 0 || modes.length < 2) return;
+    const usedIn = referencedInModes.get(node.id);
+    const usedModes = modes.filter(mode => usedIn.has(mode));
+    if (usedModes.length < modes.length) {
+      findings.push({ ...finding, kind: 'partial-modes', usedModes, unusedModes: modes.filter(mode => !usedIn.has(mode)) });
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Ids of the tokens nothing uses (unused primitives and semantic tokens no component reaches),
+ * for the canvas's "show only unused" filter
+ */
+export function getUnusedTokenIds(findings) {
+  return new Set(findings.filter(finding => UNUSED_KINDS.includes(finding.kind)).map(finding => finding.tokenId));
+}